@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * build-storm-index.js - Summarize IBTrACS track segments into a search index
+ *
+ * Reads the IBTrACS lines shapefile, or GeoJSON converted from it, and
+ * writes one entry per storm with its name, season, basin, peak category and
+ * bounding box. The map's search box loads this file.
+ *
+ * Usage:
+ *   node scripts/build-storm-index.js INPUT.shp|INPUT.geojson OUTPUT.json
+ */
+
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+
+import { readFeatures } from "./read-features.js";
+
+// Fold one segment into the running summary for its storm
+function addFeature(storms, { properties, geometry }) {
+  const id = properties.SID;
+  if (!id || !geometry) return;
+
+  let storm = storms.get(id);
+  if (!storm) {
+    storm = {
+      id,
+      name: properties.NAME,
+      season: Number(properties.SEASON),
+      basin: properties.BASIN,
+      category: -5,
+      // Longitudes are also tracked on a 0-360 scale for tracks crossing 180°
+      bounds: [Infinity, Infinity, -Infinity, -Infinity],
+      shifted: [Infinity, -Infinity],
+    };
+    storms.set(id, storm);
+  }
+
+  const category = Number(properties.USA_SSHS);
+  if (properties.USA_SSHS != null && Number.isFinite(category)) {
+    storm.category = Math.max(storm.category, category);
+  }
+
+  const lines =
+    geometry.type === "MultiLineString"
+      ? geometry.coordinates
+      : [geometry.coordinates];
+  for (const line of lines) {
+    for (const [lng, lat] of line) {
+      const { bounds, shifted } = storm;
+      bounds[0] = Math.min(bounds[0], lng);
+      bounds[1] = Math.min(bounds[1], lat);
+      bounds[2] = Math.max(bounds[2], lng);
+      bounds[3] = Math.max(bounds[3], lat);
+      const lng360 = lng < 0 ? lng + 360 : lng;
+      shifted[0] = Math.min(shifted[0], lng360);
+      shifted[1] = Math.max(shifted[1], lng360);
+    }
+  }
+}
+
+function summarize(storms) {
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    storms: [...storms.values()]
+      .map(({ bounds, shifted, ...storm }) => {
+        let [west, south, east, north] = bounds;
+        // Don't wrap the long way around the globe
+        if (east - west > 180) [west, east] = shifted;
+        return { ...storm, bbox: [west, south, east, north].map(round) };
+      })
+      .sort((a, b) => a.season - b.season || a.id.localeCompare(b.id)),
+  };
+}
+
+/**
+ * Summarize an iterable of GeoJSON features into the index format.
+ */
+export function buildStormIndex(features) {
+  const storms = new Map();
+  for (const feature of features) addFeature(storms, feature);
+  return summarize(storms);
+}
+
+async function main([input, output]) {
+  if (!input || !output) {
+    console.error(
+      "Usage: node scripts/build-storm-index.js INPUT.shp|INPUT.geojson OUTPUT.json",
+    );
+    process.exit(1);
+  }
+
+  // Summarize as we read so the full file never sits in memory
+  const storms = new Map();
+  for await (const feature of readFeatures(input)) {
+    addFeature(storms, feature);
+  }
+
+  const index = summarize(storms);
+  fs.writeFileSync(output, JSON.stringify(index));
+  console.log(`Indexed ${index.storms.length} storms: ${output}`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error("Error:", err.message);
+    process.exit(1);
+  });
+}
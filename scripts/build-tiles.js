@@ -0,0 +1,527 @@
+#!/usr/bin/env node
+
+/**
+ * build-tiles.js - Build a PMTiles archive of vector tiles from local files
+ *
+ * Reads each layer from a shapefile or GeoJSON file, keeps the features and
+ * attributes asked for and writes the tiles straight into a PMTiles v3
+ * archive. It stands in for the ogr2ogr, tippecanoe and tile-join chain, so
+ * the map's data can be rebuilt with nothing but Node.
+ *
+ * Usage:
+ *   node scripts/build-tiles.js [OPTIONS] OUTPUT.pmtiles LAYER=INPUT ...
+ *
+ * Options:
+ *   --min-zoom=N              First zoom to build (default 0)
+ *   --max-zoom=N              Last zoom to build (default 8)
+ *   --simplification=N        Simplify lines to within N tile units (default 2)
+ *   --schema=FILE             Keep, clean and rename attributes as a schema
+ *                             file says; see schema.js
+ *   --include=FIELD           Keep only these attributes; repeat or use commas
+ *   --low-max-zoom=N          Last zoom of a lighter low-zoom range
+ *   --low-simplification=N    Simplification in the low-zoom range
+ *   --low-include=FIELD       Attributes kept in the low-zoom range
+ *   --filter=EXPRESSION       Keep features where, say, SEASON>=1980 or
+ *                             BASIN=NA,EP; repeat to require several. Filters
+ *                             read the attributes before the schema applies
+ *   --drop-rate=N             Thin points by N for each zoom below the last,
+ *                             like tippecanoe (default 2.5)
+ *   --name=TEXT               Name recorded in the archive's metadata
+ *   --id=FIELD                Attribute that identifies each storm. Writes a
+ *                             manifest of every storm beside the archive and
+ *                             logs what changed since the last build
+ *   --update                  Compare the input with the last build's
+ *                             manifest by --id and cut again only the tiles
+ *                             around storms added, changed or removed
+ *   --changelog=FILE          Where to log each build (default OUTPUT with
+ *                             .changelog.json in place of .pmtiles)
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { readArchiveTiles, writeArchive } from "./pmtiles-archive.js";
+import { readFeatures } from "./read-features.js";
+import { applySchema, readSchema } from "./schema.js";
+import {
+  getTileRange,
+  prepareGeometry,
+  projectPoint,
+  tileGeometry,
+} from "./tiler.js";
+import { encodeTile, GeometryType } from "./vector-tile.js";
+
+const OPERATORS = {
+  ">=": (a, b) => a >= b,
+  "<=": (a, b) => a <= b,
+  "!=": (a, b) => a !== b,
+  "=": (a, b) => a === b,
+  ">": (a, b) => a > b,
+  "<": (a, b) => a < b,
+};
+
+/**
+ * Turn a filter such as `SEASON>=1980` or `BASIN=NA,EP` into a test for a
+ * feature's properties. A list of values matches any of them.
+ */
+export function parseFilter(expression) {
+  const match = expression.match(/^(\w+)\s*(>=|<=|!=|=|>|<)\s*(.*)$/);
+  if (!match) throw new Error(`Can't read the filter "${expression}"`);
+  const [, field, operator, text] = match;
+  const compare = OPERATORS[operator];
+  const values = text
+    .split(",")
+    .map((value) => (value.trim() !== "" && !isNaN(value) ? +value : value));
+  const matches = (actual, value) =>
+    compare(typeof value === "number" ? Number(actual) : actual, value);
+  return (properties) => {
+    const actual = properties[field];
+    if (actual == null) return false;
+    // A list matches any of its values, or none of them for !=
+    return operator === "!="
+      ? values.every((value) => matches(actual, value))
+      : values.some((value) => matches(actual, value));
+  };
+}
+
+// Copy just the listed properties, or all of them without a list
+function pickProperties(properties, fields) {
+  if (!fields) return { ...properties };
+  const picked = {};
+  for (const field of fields) {
+    if (field in properties) picked[field] = properties[field];
+  }
+  return picked;
+}
+
+// A stable number from 0 to 1 for a point, so thinning keeps the same points
+// whatever else is in the dataset
+function pointRank({ properties, geometry }) {
+  const digest = crypto
+    .createHash("md5")
+    .update(JSON.stringify([properties, geometry.coordinates]))
+    .digest();
+  return digest.readUInt32BE(0) / 2 ** 32;
+}
+
+function fieldType(value) {
+  if (typeof value === "number") return "Number";
+  if (typeof value === "boolean") return "Boolean";
+  return "String";
+}
+
+/**
+ * Tile layers of GeoJSON features into a PMTiles archive and return its
+ * bytes. `layers` maps each layer name to a list of features. Zooms up to
+ * `lowMaxZoom` use the `low` settings, which default to the others.
+ *
+ * To refresh an earlier build, pass its tiles as `previous` and the
+ * `[west, south, east, north]` bounds of every feature added, changed or
+ * removed since as `changedBounds`. Only the tiles those bounds touch are
+ * cut again; the rest are copied across.
+ */
+export function buildTiles(
+  layers,
+  {
+    minZoom = 0,
+    maxZoom = 8,
+    simplification = 2,
+    include,
+    lowMaxZoom = -1,
+    lowSimplification = simplification,
+    lowInclude = include,
+    dropRate = 2.5,
+    name = "",
+    previous,
+    changedBounds = [],
+    onProgress = () => {},
+  } = {},
+) {
+  const bounds = [Infinity, -Infinity, -Infinity, Infinity];
+  const prepared = Object.entries(layers).map(([layerName, features]) => {
+    const fields = {};
+    const items = [];
+    for (const { properties, geometry } of features) {
+      const shape = prepareGeometry(geometry);
+      if (!shape) continue;
+      const kept = pickProperties(properties ?? {}, include);
+      for (const [key, value] of Object.entries(kept)) {
+        if (value != null) fields[key] ??= fieldType(value);
+      }
+      const rank =
+        shape.type === GeometryType.Point
+          ? pointRank({ properties, geometry })
+          : 0;
+      items.push({ ...shape, properties: kept, rank });
+    }
+    // World y runs south, so the south edge is the largest
+    for (const { bbox } of items) {
+      bounds[0] = Math.min(bounds[0], bbox[0]);
+      bounds[1] = Math.max(bounds[1], bbox[3]);
+      bounds[2] = Math.max(bounds[2], bbox[2]);
+      bounds[3] = Math.min(bounds[3], bbox[1]);
+    }
+    return { name: layerName, fields, items };
+  });
+
+  // World bounds of the changes, north-up like the items' own
+  const changed = changedBounds.map(([west, south, east, north]) => [
+    ...projectPoint([west, north]),
+    ...projectPoint([east, south]),
+  ]);
+  const previousByZoom = new Map();
+  for (const tile of previous ?? []) {
+    if (!previousByZoom.has(tile.z)) previousByZoom.set(tile.z, []);
+    previousByZoom.get(tile.z).push(tile);
+  }
+
+  const tiles = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const low = z <= lowMaxZoom;
+    const tolerance = low ? lowSimplification : simplification;
+    const fields = low ? lowInclude : include;
+    // Points thin out by the drop rate for each zoom below the last, as with
+    // tippecanoe's -r, so zooming in only ever adds points
+    const keepShare = dropRate ** -(maxZoom - z);
+
+    // When refreshing, only the tiles around a change are cut again
+    let only = null;
+    if (previous) {
+      only = new Set();
+      for (const bbox of changed) {
+        const [minX, minY, maxX, maxY] = getTileRange(bbox, z);
+        for (let x = minX; x <= maxX; x++) {
+          for (let y = minY; y <= maxY; y++) only.add(`${x}/${y}`);
+        }
+      }
+    }
+    const touchesChange = (bbox) => {
+      const [minX, minY, maxX, maxY] = getTileRange(bbox, z);
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          if (only.has(`${x}/${y}`)) return true;
+        }
+      }
+      return false;
+    };
+
+    const byTile = new Map();
+    for (const layer of prepared) {
+      for (const item of layer.items) {
+        if (item.type === GeometryType.Point && item.rank >= keepShare) {
+          continue;
+        }
+        if (only && !touchesChange(item.bbox)) continue;
+        const properties =
+          fields === include
+            ? item.properties
+            : pickProperties(item.properties, fields);
+        for (const { x, y, geometry } of tileGeometry(
+          item,
+          z,
+          tolerance,
+          only,
+        )) {
+          const key = `${x}/${y}`;
+          if (!byTile.has(key)) {
+            byTile.set(key, {
+              x,
+              y,
+              layers: Object.fromEntries(prepared.map((l) => [l.name, []])),
+            });
+          }
+          byTile
+            .get(key)
+            .layers[layer.name].push({ type: item.type, properties, geometry });
+        }
+      }
+    }
+
+    for (const { x, y, layers: tileLayers } of byTile.values()) {
+      tiles.push({ z, x, y, data: zlib.gzipSync(encodeTile(tileLayers)) });
+    }
+    let reused = 0;
+    for (const tile of previousByZoom.get(z) ?? []) {
+      if (only.has(`${tile.x}/${tile.y}`)) continue;
+      tiles.push(tile);
+      reused++;
+    }
+    onProgress(
+      previous
+        ? `Zoom ${z}: ${byTile.size.toLocaleString()} tiles rebuilt, ${reused.toLocaleString()} reused`
+        : `Zoom ${z}: ${byTile.size.toLocaleString()} tiles`,
+      { zoom: z, built: byTile.size, reused },
+    );
+  }
+
+  // Back from world coordinates to degrees
+  const toLng = (x) => x * 360 - 180;
+  const toLat = (y) =>
+    (Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180) / Math.PI;
+  const degrees = Number.isFinite(bounds[0])
+    ? [toLng(bounds[0]), toLat(bounds[1]), toLng(bounds[2]), toLat(bounds[3])]
+    : [-180, -85, 180, 85];
+
+  return writeArchive(tiles, {
+    minZoom,
+    maxZoom,
+    bounds: degrees,
+    metadata: {
+      name,
+      format: "pbf",
+      generator: "build-tiles.js",
+      vector_layers: prepared.map(({ name: id, fields }) => ({
+        id,
+        minzoom: minZoom,
+        maxzoom: maxZoom,
+        fields,
+      })),
+    },
+  });
+}
+
+// The bounds of a GeoJSON geometry in degrees, however deeply nested
+function getBounds(
+  coordinates,
+  bounds = [Infinity, Infinity, -Infinity, -Infinity],
+) {
+  if (typeof coordinates[0] === "number") {
+    const [lng, lat] = coordinates;
+    bounds[0] = Math.min(bounds[0], lng);
+    bounds[1] = Math.min(bounds[1], lat);
+    bounds[2] = Math.max(bounds[2], lng);
+    bounds[3] = Math.max(bounds[3], lat);
+  } else {
+    for (const item of coordinates) getBounds(item, bounds);
+  }
+  return bounds;
+}
+
+/**
+ * Sum up each storm in `layers` by the `idField` attribute its features
+ * share: a hash of everything the tiles would hold and its bounds in
+ * degrees. Returns an object keyed by ID.
+ */
+export function fingerprintStorms(layers, idField) {
+  const hashes = new Map();
+  const storms = {};
+  for (const [layerName, features] of Object.entries(layers)) {
+    for (const { properties, geometry } of features) {
+      if (!geometry) continue;
+      const id = String(properties?.[idField] ?? "");
+      if (!hashes.has(id)) hashes.set(id, crypto.createHash("sha1"));
+      hashes.get(id).update(JSON.stringify([layerName, properties, geometry]));
+      storms[id] = { bbox: getBounds(geometry.coordinates, storms[id]?.bbox) };
+    }
+  }
+  for (const [id, hash] of hashes) storms[id].hash = hash.digest("hex");
+  return storms;
+}
+
+/**
+ * List the storm IDs added, changed and removed between two sets of
+ * fingerprints, and count the ones left as they were.
+ */
+export function compareStorms(previous, current) {
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const [id, { hash }] of Object.entries(current)) {
+    if (!previous[id]) added.push(id);
+    else if (previous[id].hash !== hash) changed.push(id);
+    else unchanged++;
+  }
+  const removed = Object.keys(previous).filter((id) => !current[id]);
+  return { added, changed, removed, unchanged };
+}
+
+function readJSON(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+// Split repeated and comma-separated lists of attributes
+const splitList = (values) =>
+  values?.flatMap((value) => value.split(",")).filter(Boolean);
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      "min-zoom": { type: "string", default: "0" },
+      "max-zoom": { type: "string", default: "8" },
+      simplification: { type: "string", default: "2" },
+      include: { type: "string", multiple: true },
+      "low-max-zoom": { type: "string", default: "-1" },
+      "low-simplification": { type: "string" },
+      "low-include": { type: "string", multiple: true },
+      filter: { type: "string", multiple: true, default: [] },
+      "drop-rate": { type: "string", default: "2.5" },
+      name: { type: "string" },
+      schema: { type: "string" },
+      id: { type: "string" },
+      update: { type: "boolean", default: false },
+      changelog: { type: "string" },
+    },
+  });
+
+  const [output, ...inputs] = positionals;
+  if (!output || !inputs.length || inputs.some((i) => !i.includes("="))) {
+    console.error(
+      "Usage: node scripts/build-tiles.js [OPTIONS] OUTPUT.pmtiles LAYER=INPUT ...",
+    );
+    process.exit(1);
+  }
+
+  if (values.update && !values.id) {
+    throw new Error("--update needs --id to tell the storms apart");
+  }
+
+  const include = splitList(values.include);
+  const filters = values.filter.map(parseFilter);
+  const schema = values.schema && readSchema(values.schema);
+  // Rewrite a single status line in a terminal, or log each step elsewhere
+  const status = (message, done = true) => {
+    if (process.stdout.isTTY) {
+      process.stdout.write(`\r\x1b[K${message}${done ? "\n" : ""}`);
+    } else if (done) {
+      console.log(message);
+    }
+  };
+
+  const layers = {};
+  for (const input of inputs) {
+    const [layerName, file] = input.split(/=(.*)/s);
+    const features = [];
+    let read = 0;
+    for await (const feature of readFeatures(file)) {
+      read++;
+      if (read % 10000 === 0) {
+        status(
+          `Reading ${layerName}: ${read.toLocaleString()} features`,
+          false,
+        );
+      }
+      const properties = feature.properties ?? {};
+      if (!filters.every((test) => test(properties))) continue;
+      // Drop unwanted attributes now so they never pile up in memory
+      const kept = schema ? applySchema(properties, schema) : properties;
+      features.push({
+        properties: pickProperties(kept, include),
+        geometry: feature.geometry,
+      });
+    }
+    status(
+      `Read ${layerName}: kept ${features.length.toLocaleString()} of ${read.toLocaleString()} features from ${file}`,
+    );
+    layers[layerName] = features;
+  }
+
+  const options = {
+    minZoom: Number(values["min-zoom"]),
+    maxZoom: Number(values["max-zoom"]),
+    simplification: Number(values.simplification),
+    include,
+    lowMaxZoom: Number(values["low-max-zoom"]),
+    lowSimplification: Number(
+      values["low-simplification"] ?? values.simplification,
+    ),
+    lowInclude: splitList(values["low-include"]) ?? include,
+    dropRate: Number(values["drop-rate"]),
+    name: values.name ?? path.basename(output, ".pmtiles"),
+  };
+  // Tiles from an earlier build can only be reused if it was cut the same way
+  const settings = {
+    ...options,
+    layers: Object.keys(layers),
+    filters: values.filter,
+    schema:
+      values.schema &&
+      crypto
+        .createHash("sha1")
+        .update(fs.readFileSync(values.schema))
+        .digest("hex"),
+  };
+
+  const base = output.replace(/\.pmtiles$/, "");
+  const manifestFile = `${base}.manifest.json`;
+  const changelogFile = values.changelog ?? `${base}.changelog.json`;
+  const manifest = values.id && readJSON(manifestFile);
+  const storms = values.id && fingerprintStorms(layers, values.id);
+  const changes = manifest && compareStorms(manifest.storms, storms);
+
+  let previous;
+  const changedBounds = [];
+  if (values.update) {
+    if (!manifest || !fs.existsSync(output)) {
+      status("No earlier build to update, so building every tile");
+    } else if (JSON.stringify(manifest.settings) !== JSON.stringify(settings)) {
+      status("The build options have changed, so building every tile");
+    } else {
+      previous = await readArchiveTiles(output);
+      for (const id of [...changes.changed, ...changes.removed]) {
+        changedBounds.push(manifest.storms[id].bbox);
+      }
+      for (const id of [...changes.added, ...changes.changed]) {
+        changedBounds.push(storms[id].bbox);
+      }
+    }
+  }
+
+  const counts = { rebuilt: 0, reused: 0 };
+  const archive = buildTiles(layers, {
+    ...options,
+    previous,
+    changedBounds,
+    onProgress: (message, { built, reused }) => {
+      counts.rebuilt += built;
+      counts.reused += reused;
+      status(message);
+    },
+  });
+  fs.writeFileSync(output, archive);
+  const megabytes = (archive.length / 1024 / 1024).toFixed(1);
+  console.log(`Tiles saved: ${output} (${megabytes} MB)`);
+  if (!values.id) return;
+
+  const built = new Date().toISOString();
+  fs.writeFileSync(manifestFile, JSON.stringify({ built, settings, storms }));
+  const entry = {
+    built,
+    mode: previous ? "incremental" : "full",
+    inputs: Object.fromEntries(inputs.map((input) => input.split(/=(.*)/s))),
+    storms: changes ?? {
+      added: Object.keys(storms),
+      changed: [],
+      removed: [],
+      unchanged: 0,
+    },
+    tiles: counts,
+  };
+  const changelog = readJSON(changelogFile) ?? [];
+  changelog.push(entry);
+  fs.writeFileSync(changelogFile, `${JSON.stringify(changelog, null, 2)}\n`);
+
+  const { added, changed, removed, unchanged } = entry.storms;
+  console.log(
+    `Storms: ${added.length.toLocaleString()} added, ${changed.length.toLocaleString()} changed, ${removed.length.toLocaleString()} removed, ${unchanged.toLocaleString()} unchanged`,
+  );
+  // A first build adds everything, which isn't worth listing
+  if (changes) {
+    for (const [label, ids] of Object.entries({ added, changed, removed })) {
+      if (ids.length) console.log(`  ${label}: ${ids.join(", ")}`);
+    }
+  }
+  console.log(`Changelog: ${changelogFile}`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error("Error:", err.message);
+    process.exit(1);
+  });
+}
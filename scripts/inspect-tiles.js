@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+
+/**
+ * inspect-tiles.js - Describe a PMTiles archive and check it suits the map
+ *
+ * Prints the archive's header and metadata, how many tiles each zoom holds
+ * and what every layer's attributes contain. Then it checks what the map
+ * relies on: a "storms" layer, the zoom range the map is set up for and
+ * every attribute its styles and filters read. Any problem ends the command
+ * with an error, which keeps `make upload` from publishing a broken archive.
+ *
+ * Usage:
+ *   node scripts/inspect-tiles.js ARCHIVE.pmtiles
+ */
+
+import fs from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+import { VectorTile } from "@mapbox/vector-tile";
+import Pbf from "pbf";
+import { PMTiles, tileIdToZxy, TileType } from "pmtiles";
+
+import { LocalFileSource, readEntries } from "./pmtiles-archive.js";
+import {
+  buildStormFilter,
+  createStormFilters,
+  firstSeason,
+  lastSeason,
+} from "../src/js/filters.js";
+import {
+  stormArchiveZooms,
+  stormLinePaint,
+  stormPointPaint,
+} from "../src/js/layers.js";
+
+// Every attribute an expression reads with "get", however deep
+function getExpressionProperties(value, found = new Set()) {
+  if (Array.isArray(value)) {
+    if (value[0] === "get" && typeof value[1] === "string") found.add(value[1]);
+    for (const item of value) getExpressionProperties(item, found);
+  } else if (value && typeof value === "object") {
+    for (const item of Object.values(value)) {
+      getExpressionProperties(item, found);
+    }
+  }
+  return found;
+}
+
+// With every filter narrowed, the filter expression reads all it ever will
+const narrowedFilter = buildStormFilter(
+  createStormFilters({
+    seasons: [firstSeason + 1, lastSeason - 1],
+    basins: [],
+    categories: [],
+  }),
+);
+
+/**
+ * The attributes the map reads from each layer. Popups, search and playback
+ * also need each storm's SID and NAME, and fix popups the USA_PRES pressure.
+ */
+export const requiredAttributes = {
+  storms: [
+    ...getExpressionProperties([
+      stormLinePaint,
+      narrowedFilter,
+      ["get", "SID"],
+      ["get", "NAME"],
+    ]),
+  ],
+  points: [
+    ...getExpressionProperties([
+      stormPointPaint,
+      narrowedFilter,
+      ["get", "USA_PRES"],
+    ]),
+  ],
+};
+
+function addAttribute(attributes, key, value) {
+  let stats = attributes.get(key);
+  if (!stats) {
+    stats = { count: 0, types: new Set(), min: Infinity, max: -Infinity };
+    stats.values = new Set();
+    attributes.set(key, stats);
+  }
+  stats.count++;
+  const type = typeof value;
+  stats.types.add(type[0].toUpperCase() + type.slice(1));
+  if (type === "number") {
+    stats.min = Math.min(stats.min, value);
+    stats.max = Math.max(stats.max, value);
+  } else if (stats.values.size < 10000) {
+    stats.values.add(value);
+  }
+}
+
+/**
+ * Read a local PMTiles archive from end to end. Resolves with its header,
+ * metadata, tile counts and sizes by zoom and, for vector tiles, a summary
+ * of each layer's features and attributes.
+ */
+export async function inspectArchive(file) {
+  const source = new LocalFileSource(file);
+  try {
+    const archive = new PMTiles(source);
+    const header = await archive.getHeader();
+    const metadata = await archive.getMetadata();
+    const zooms = new Map();
+    const layers = new Map();
+
+    for await (const entry of readEntries(
+      archive,
+      header,
+      header.rootDirectoryOffset,
+      header.rootDirectoryLength,
+    )) {
+      const tileZooms = new Set();
+      for (let i = 0; i < entry.runLength; i++) {
+        const [z] = tileIdToZxy(entry.tileId + i);
+        const zoom = zooms.get(z) ?? { tiles: 0, bytes: 0 };
+        zoom.tiles++;
+        zoom.bytes += entry.length;
+        zooms.set(z, zoom);
+        tileZooms.add(z);
+      }
+      if (header.tileType !== TileType.Mvt) continue;
+
+      const { data } = await source.getBytes(
+        header.tileDataOffset + entry.offset,
+        entry.length,
+      );
+      const tile = new VectorTile(
+        new Pbf(await archive.decompress(data, header.tileCompression)),
+      );
+      for (const [name, layer] of Object.entries(tile.layers)) {
+        let summary = layers.get(name);
+        if (!summary) {
+          summary = { features: 0, zooms: new Map(), attributes: new Map() };
+          layers.set(name, summary);
+        }
+        for (const z of tileZooms) {
+          if (!summary.zooms.has(z)) summary.zooms.set(z, new Set());
+        }
+        for (let i = 0; i < layer.length; i++) {
+          const { properties } = layer.feature(i);
+          summary.features++;
+          for (const [key, value] of Object.entries(properties)) {
+            addAttribute(summary.attributes, key, value);
+            for (const z of tileZooms) summary.zooms.get(z).add(key);
+          }
+        }
+      }
+    }
+
+    return { header, metadata, zooms, layers };
+  } finally {
+    await source.close();
+  }
+}
+
+// Write a list of zooms as ranges, like "0-4, 7"
+function formatZooms(zooms) {
+  const sorted = [...zooms].sort((a, b) => a - b);
+  const ranges = [];
+  for (const z of sorted) {
+    const last = ranges.at(-1);
+    if (last && z === last[1] + 1) last[1] = z;
+    else ranges.push([z, z]);
+  }
+  return ranges
+    .map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`))
+    .join(", ");
+}
+
+/**
+ * List what's wrong with an inspected archive for the storm map: a missing
+ * storms layer, zooms the map isn't set up for or attributes its styles
+ * read but the tiles lack. An empty list means the archive is good to go.
+ */
+export function validateArchive(
+  { header, layers },
+  {
+    minZoom = stormArchiveZooms.minZoom,
+    maxZoom = stormArchiveZooms.maxZoom,
+    required = requiredAttributes,
+  } = {},
+) {
+  const problems = [];
+  if (header.tileType !== TileType.Mvt) {
+    problems.push("The tiles aren't vector tiles");
+  }
+  if (header.minZoom !== minZoom || header.maxZoom !== maxZoom) {
+    problems.push(
+      `The archive covers zooms ${header.minZoom}-${header.maxZoom}, but the map expects ${minZoom}-${maxZoom}`,
+    );
+  }
+  if (!layers.has("storms")) {
+    problems.push('There is no "storms" layer');
+  }
+
+  // Layers besides storms are optional, but must be whole if they're there
+  for (const [name, attributes] of Object.entries(required)) {
+    const layer = layers.get(name);
+    if (!layer) continue;
+    for (const attribute of attributes) {
+      const missing = [...layer.zooms]
+        .filter(([, keys]) => !keys.has(attribute))
+        .map(([z]) => z);
+      if (missing.length === layer.zooms.size) {
+        problems.push(`The ${name} layer has no ${attribute} attribute`);
+      } else if (missing.length) {
+        problems.push(
+          `The ${name} layer has no ${attribute} attribute at zoom ${formatZooms(missing)}`,
+        );
+      }
+    }
+  }
+  return problems;
+}
+
+const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${(bytes / 1024).toFixed(1)} kB`;
+
+const formatCount = (count) => count.toLocaleString("en-US");
+
+function printReport(file, { header, metadata, zooms, layers }) {
+  const compressions = ["unknown", "none", "gzip", "brotli", "zstd"];
+  const tileTypes = ["unknown", "mvt", "png", "jpeg", "webp", "avif"];
+  const rows = [
+    ["Archive", file],
+    [
+      "Format",
+      `PMTiles v${header.specVersion}, ${tileTypes[header.tileType]} tiles, ${compressions[header.tileCompression]} compressed${header.clustered ? ", clustered" : ""}`,
+    ],
+    ["Zooms", `${header.minZoom}-${header.maxZoom}`],
+    [
+      "Bounds",
+      [header.minLon, header.minLat, header.maxLon, header.maxLat]
+        .map((value) => value.toFixed(2))
+        .join(", "),
+    ],
+    [
+      "Center",
+      `${header.centerLon.toFixed(2)}, ${header.centerLat.toFixed(2)} at zoom ${header.centerZoom}`,
+    ],
+    ["Tiles", formatCount(header.numAddressedTiles)],
+  ];
+  for (const key of ["name", "description", "generator", "attribution"]) {
+    if (metadata?.[key])
+      rows.push([key[0].toUpperCase() + key.slice(1), metadata[key]]);
+  }
+  for (const [label, value] of rows) console.log(`${label.padEnd(12)}${value}`);
+
+  console.log(
+    `\n${"Zoom".padEnd(6)}${"Tiles".padStart(10)}${"Size".padStart(12)}`,
+  );
+  for (const [z, { tiles, bytes }] of [...zooms].sort(([a], [b]) => a - b)) {
+    console.log(
+      `${String(z).padEnd(6)}${formatCount(tiles).padStart(10)}${formatBytes(bytes).padStart(12)}`,
+    );
+  }
+
+  for (const [name, { features, zooms: layerZooms, attributes }] of layers) {
+    console.log(
+      `\nLayer "${name}": ${formatCount(features)} features across its tiles at zoom ${formatZooms(layerZooms.keys())}`,
+    );
+    for (const [key, stats] of attributes) {
+      const detail = stats.types.has("Number")
+        ? `${stats.min} to ${stats.max}`
+        : `${formatCount(stats.values.size)}${stats.values.size >= 10000 ? "+" : ""} distinct`;
+      console.log(
+        `  ${key.padEnd(12)}${[...stats.types].join("/").padEnd(10)}${formatCount(stats.count).padStart(12)}  ${detail}`,
+      );
+    }
+  }
+}
+
+async function main([file]) {
+  if (!file) {
+    console.error("Usage: node scripts/inspect-tiles.js ARCHIVE.pmtiles");
+    process.exit(1);
+  }
+
+  const report = await inspectArchive(file);
+  printReport(file, report);
+
+  const problems = validateArchive(report);
+  if (problems.length) {
+    console.error(`\nFound ${problems.length} problem(s):`);
+    for (const problem of problems) console.error(`  - ${problem}`);
+    process.exit(1);
+  }
+  console.log("\nNo problems found.");
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error("Error:", err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,218 @@
+/**
+ * pmtiles-archive.js - Write PMTiles v3 archives and read back local ones
+ *
+ * Lays out the header, directories, metadata and tile data as the spec
+ * describes, with tiles in tile ID order so the archive counts as clustered.
+ * Reading goes through the pmtiles library the map uses.
+ * See https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md
+ */
+
+import fs from "node:fs/promises";
+import zlib from "node:zlib";
+
+import { PMTiles, tileIdToZxy, zxyToTileId } from "pmtiles";
+
+import { varint } from "./vector-tile.js";
+
+const HEADER_LENGTH = 127;
+
+// The header and root directory have to fit in the first 16 KiB
+const MAX_ROOT_LENGTH = 16384 - HEADER_LENGTH;
+
+function encodeDirectory(entries) {
+  return zlib.gzipSync(
+    Buffer.concat([
+      varint(entries.length),
+      ...entries.map((e, i) =>
+        varint(e.tileId - (entries[i - 1]?.tileId ?? 0)),
+      ),
+      ...entries.map((e) => varint(e.runLength)),
+      ...entries.map((e) => varint(e.length)),
+      ...entries.map((e, i) => {
+        const previous = entries[i - 1];
+        const contiguous =
+          previous && e.offset === previous.offset + previous.length;
+        return varint(contiguous ? 0 : e.offset + 1);
+      }),
+    ]),
+  );
+}
+
+// Big archives spill their entries into leaf directories, as few as fit
+function buildDirectories(entries) {
+  const root = encodeDirectory(entries);
+  if (root.length <= MAX_ROOT_LENGTH) {
+    return { root, leaves: Buffer.alloc(0) };
+  }
+  for (let leafSize = 4096; ; leafSize *= 2) {
+    const rootEntries = [];
+    const leaves = [];
+    let offset = 0;
+    for (let i = 0; i < entries.length; i += leafSize) {
+      const leaf = encodeDirectory(entries.slice(i, i + leafSize));
+      rootEntries.push({
+        tileId: entries[i].tileId,
+        runLength: 0,
+        offset,
+        length: leaf.length,
+      });
+      leaves.push(leaf);
+      offset += leaf.length;
+    }
+    const root = encodeDirectory(rootEntries);
+    if (root.length <= MAX_ROOT_LENGTH) {
+      return { root, leaves: Buffer.concat(leaves) };
+    }
+  }
+}
+
+/**
+ * Assemble a PMTiles archive of gzipped vector tiles. `tiles` is a list of
+ * `{ z, x, y, data }`; `bounds` is `[west, south, east, north]` in degrees.
+ */
+export function writeArchive(
+  tiles,
+  { metadata = {}, minZoom, maxZoom, bounds, center },
+) {
+  const sorted = tiles
+    .map((tile) => ({ ...tile, tileId: zxyToTileId(tile.z, tile.x, tile.y) }))
+    .sort((a, b) => a.tileId - b.tileId);
+
+  let offset = 0;
+  const entries = sorted.map(({ tileId, data }) => {
+    const entry = { tileId, runLength: 1, offset, length: data.length };
+    offset += data.length;
+    return entry;
+  });
+  const { root, leaves } = buildDirectories(entries);
+  const metadataBytes = zlib.gzipSync(JSON.stringify(metadata));
+
+  const rootOffset = HEADER_LENGTH;
+  const metadataOffset = rootOffset + root.length;
+  const leavesOffset = metadataOffset + metadataBytes.length;
+  const tileOffset = leavesOffset + leaves.length;
+  const [west, south, east, north] = bounds;
+  const [centerLng, centerLat, centerZoom] = center ?? [
+    (west + east) / 2,
+    (south + north) / 2,
+    minZoom,
+  ];
+
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.write("PMTiles", 0, "ascii");
+  header.writeUInt8(3, 7);
+  header.writeBigUInt64LE(BigInt(rootOffset), 8);
+  header.writeBigUInt64LE(BigInt(root.length), 16);
+  header.writeBigUInt64LE(BigInt(metadataOffset), 24);
+  header.writeBigUInt64LE(BigInt(metadataBytes.length), 32);
+  header.writeBigUInt64LE(BigInt(leavesOffset), 40);
+  header.writeBigUInt64LE(BigInt(leaves.length), 48);
+  header.writeBigUInt64LE(BigInt(tileOffset), 56);
+  header.writeBigUInt64LE(BigInt(offset), 64);
+  header.writeBigUInt64LE(BigInt(entries.length), 72); // addressed tiles
+  header.writeBigUInt64LE(BigInt(entries.length), 80); // tile entries
+  header.writeBigUInt64LE(BigInt(entries.length), 88); // tile contents
+  header.writeUInt8(1, 96); // clustered
+  header.writeUInt8(2, 97); // internal compression: gzip
+  header.writeUInt8(2, 98); // tile compression: gzip
+  header.writeUInt8(1, 99); // tile type: mvt
+  header.writeUInt8(minZoom, 100);
+  header.writeUInt8(maxZoom, 101);
+  header.writeInt32LE(Math.round(west * 1e7), 102);
+  header.writeInt32LE(Math.round(south * 1e7), 106);
+  header.writeInt32LE(Math.round(east * 1e7), 110);
+  header.writeInt32LE(Math.round(north * 1e7), 114);
+  header.writeUInt8(centerZoom, 118);
+  header.writeInt32LE(Math.round(centerLng * 1e7), 119);
+  header.writeInt32LE(Math.round(centerLat * 1e7), 123);
+
+  return Buffer.concat([
+    header,
+    root,
+    metadataBytes,
+    leaves,
+    ...sorted.map((tile) => tile.data),
+  ]);
+}
+
+/**
+ * A pmtiles library source that reads byte ranges straight out of a local
+ * file.
+ */
+export class LocalFileSource {
+  constructor(file) {
+    this.file = file;
+    this.handle = null;
+  }
+
+  getKey() {
+    return this.file;
+  }
+
+  async getBytes(offset, length) {
+    this.handle ??= await fs.open(this.file);
+    const data = Buffer.alloc(length);
+    await this.handle.read(data, 0, length, offset);
+    return { data: data.buffer };
+  }
+
+  async close() {
+    await this.handle?.close();
+  }
+}
+
+/**
+ * Walk an archive's directory from `offset`, and any leaves it points to,
+ * yielding each tile entry.
+ */
+export async function* readEntries(archive, header, offset, length) {
+  const entries = await archive.cache.getDirectory(
+    archive.source,
+    offset,
+    length,
+    header,
+  );
+  for (const entry of entries) {
+    if (entry.runLength === 0) {
+      yield* readEntries(
+        archive,
+        header,
+        header.leafDirectoryOffset + entry.offset,
+        entry.length,
+      );
+    } else {
+      yield entry;
+    }
+  }
+}
+
+/**
+ * Read every tile of a local archive, still compressed, as a list of
+ * `{ z, x, y, data }` ready to hand back to `writeArchive`.
+ */
+export async function readArchiveTiles(file) {
+  const source = new LocalFileSource(file);
+  try {
+    const archive = new PMTiles(source);
+    const header = await archive.getHeader();
+    const tiles = [];
+    for await (const entry of readEntries(
+      archive,
+      header,
+      header.rootDirectoryOffset,
+      header.rootDirectoryLength,
+    )) {
+      const { data } = await source.getBytes(
+        header.tileDataOffset + entry.offset,
+        entry.length,
+      );
+      for (let i = 0; i < entry.runLength; i++) {
+        const [z, x, y] = tileIdToZxy(entry.tileId + i);
+        tiles.push({ z, x, y, data: Buffer.from(data) });
+      }
+    }
+    return tiles;
+  } finally {
+    await source.close();
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * read-features.js - Stream GeoJSON features out of a shapefile or GeoJSON
+ *
+ * Shapefiles are read straight from their .shp and .dbf parts, so building
+ * the tiles and the search index needs no GDAL. Features come out one at a
+ * time, which keeps the full IBTrACS archive out of memory.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+
+const SHAPE_TYPES = {
+  1: "Point",
+  3: "LineString",
+  5: "Polygon",
+  8: "MultiPoint",
+};
+
+// Read `length` bytes at `position`, or null past the end of the file
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const read = fs.readSync(fd, buffer, 0, length, position);
+  return read < length ? null : buffer;
+}
+
+// Shapefiles store outer rings clockwise and holes counterclockwise
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return area / 2;
+}
+
+function readGeometry(content) {
+  // The Z and M variants share the 2D layout up front
+  const type = SHAPE_TYPES[content.readInt32LE(0) % 10];
+  if (!type) return null;
+  if (type === "Point") {
+    return {
+      type,
+      coordinates: [content.readDoubleLE(4), content.readDoubleLE(12)],
+    };
+  }
+
+  const readPoint = (offset) => [
+    content.readDoubleLE(offset),
+    content.readDoubleLE(offset + 8),
+  ];
+  if (type === "MultiPoint") {
+    const count = content.readInt32LE(36);
+    return {
+      type,
+      coordinates: Array.from({ length: count }, (_, i) =>
+        readPoint(40 + i * 16),
+      ),
+    };
+  }
+
+  const partCount = content.readInt32LE(36);
+  const pointCount = content.readInt32LE(40);
+  const pointsStart = 44 + partCount * 4;
+  const parts = Array.from({ length: partCount }, (_, i) => {
+    const start = content.readInt32LE(44 + i * 4);
+    const end =
+      i + 1 < partCount ? content.readInt32LE(48 + i * 4) : pointCount;
+    return Array.from({ length: end - start }, (_, j) =>
+      readPoint(pointsStart + (start + j) * 16),
+    );
+  });
+
+  if (type === "LineString") {
+    return parts.length === 1
+      ? { type, coordinates: parts[0] }
+      : { type: "MultiLineString", coordinates: parts };
+  }
+
+  // Each clockwise ring starts a polygon and the holes after it belong to it
+  const polygons = [];
+  for (const ring of parts) {
+    if (ringArea(ring) < 0 || !polygons.length) {
+      polygons.push([ring.toReversed()]);
+    } else {
+      polygons.at(-1).push(ring.toReversed());
+    }
+  }
+  return polygons.length === 1
+    ? { type: "Polygon", coordinates: polygons[0] }
+    : { type: "MultiPolygon", coordinates: polygons };
+}
+
+function readDbfHeader(fd) {
+  const header = readBytes(fd, 0, 32);
+  const recordCount = header.readUInt32LE(4);
+  const headerLength = header.readUInt16LE(8);
+  const recordLength = header.readUInt16LE(10);
+
+  const fields = [];
+  const descriptors = readBytes(fd, 32, headerLength - 33);
+  let offset = 1; // past the deletion flag
+  for (let i = 0; i + 32 <= descriptors.length; i += 32) {
+    if (descriptors[i] === 0x0d) break;
+    const name = descriptors
+      .toString("latin1", i, i + 11)
+      .replace(/\0.*$/s, "");
+    const type = String.fromCharCode(descriptors[i + 11]);
+    const length = descriptors[i + 16];
+    fields.push({ name, type, offset, length });
+    offset += length;
+  }
+  return { recordCount, headerLength, recordLength, fields };
+}
+
+function readDbfValue(record, { type, offset, length }) {
+  const text = record.toString("utf8", offset, offset + length).trim();
+  if (type === "N" || type === "F") {
+    const value = Number(text);
+    return text === "" || !Number.isFinite(value) ? null : value;
+  }
+  if (type === "L") {
+    if ("YyTt".includes(text)) return true;
+    if ("NnFf".includes(text)) return false;
+    return null;
+  }
+  if (type === "D" && text.length === 8) {
+    return `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6)}`;
+  }
+  return text === "" ? null : text;
+}
+
+/**
+ * Read the features of a shapefile, pairing each shape in the .shp with its
+ * row in the .dbf next to it.
+ */
+export function* readShapefile(file) {
+  const base = file.replace(/\.shp$/i, "");
+  const shp = fs.openSync(`${base}.shp`, "r");
+  const dbf = fs.openSync(`${base}.dbf`, "r");
+  try {
+    const dbfHeader = readDbfHeader(dbf);
+    let position = 100; // past the main file header
+    for (let i = 0; i < dbfHeader.recordCount; i++) {
+      const recordHeader = readBytes(shp, position, 8);
+      if (!recordHeader) break;
+      const contentLength = recordHeader.readInt32BE(4) * 2;
+      const content = readBytes(shp, position + 8, contentLength);
+      position += 8 + contentLength;
+
+      const record = readBytes(
+        dbf,
+        dbfHeader.headerLength + i * dbfHeader.recordLength,
+        dbfHeader.recordLength,
+      );
+      // Skip rows marked deleted
+      if (record[0] === 0x2a) continue;
+
+      const properties = {};
+      for (const field of dbfHeader.fields) {
+        properties[field.name] = readDbfValue(record, field);
+      }
+      const geometry = readGeometry(content);
+      if (geometry) yield { type: "Feature", properties, geometry };
+    }
+  } finally {
+    fs.closeSync(shp);
+    fs.closeSync(dbf);
+  }
+}
+
+/**
+ * Read the features of a GeoJSON file. ogr2ogr writes one feature per line,
+ * which lets huge files stream; anything else is parsed whole.
+ */
+export async function* readGeoJSON(file) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file),
+    crlfDelay: Infinity,
+  });
+  let streamed = false;
+  for await (const line of lines) {
+    const trimmed = line.trim().replace(/,$/, "");
+    if (/^\{\s*"type":\s*"Feature"\s*,/.test(trimmed)) {
+      streamed = true;
+      yield JSON.parse(trimmed);
+    }
+  }
+  if (streamed) return;
+
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (data.type === "FeatureCollection") yield* data.features;
+  else if (data.type === "Feature") yield data;
+}
+
+/**
+ * Read the features of a shapefile or a GeoJSON file, picked by extension.
+ */
+export function readFeatures(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === ".shp") return readShapefile(file);
+  if (extension === ".geojson" || extension === ".json") {
+    return readGeoJSON(file);
+  }
+  throw new Error(`Can't read ${file}: expected a .shp or .geojson file`);
+}
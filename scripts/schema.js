@@ -0,0 +1,77 @@
+/**
+ * schema.js - Trim, clean and rename feature attributes for the tiles
+ *
+ * A schema is a JSON file with a "fields" object. Each key is an attribute
+ * to keep, in the order it should appear, and its value says what to do
+ * with it:
+ *
+ *   type     "string", "number" or "integer"; values that don't fit become
+ *            null
+ *   null     values that stand in for a missing reading, such as 0 for an
+ *            unrecorded pressure
+ *   default  value for a feature that doesn't have one
+ *   name     what to call the attribute in the tiles
+ *
+ * Attributes the schema doesn't list are dropped.
+ */
+
+import fs from "node:fs";
+
+const coercions = {
+  string: (value) => {
+    const text = String(value).trim();
+    return text === "" ? null : text;
+  },
+  number: (value) => {
+    if (typeof value === "string" && value.trim() === "") return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  },
+  integer: (value) => {
+    const number = coercions.number(value);
+    return number === null ? null : Math.round(number);
+  },
+};
+
+/**
+ * Check a parsed schema and fill in the name of each field.
+ */
+export function parseSchema({ fields } = {}) {
+  if (!fields || typeof fields !== "object") {
+    throw new Error('A schema needs a "fields" object');
+  }
+  return Object.entries(fields).map(([source, field]) => {
+    const type = field.type ?? "string";
+    if (!coercions[type]) {
+      throw new Error(`Unknown type "${type}" for the ${source} field`);
+    }
+    return {
+      source,
+      name: field.name ?? source,
+      coerce: coercions[type],
+      nulls: field.null ?? [],
+      fallback: field.default ?? null,
+    };
+  });
+}
+
+/**
+ * Read and check a schema file.
+ */
+export function readSchema(file) {
+  return parseSchema(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+/**
+ * Build the attributes the tiles should carry from a feature's properties.
+ */
+export function applySchema(properties, schema) {
+  const output = {};
+  for (const { source, name, coerce, nulls, fallback } of schema) {
+    let value = properties[source];
+    value = value == null ? null : coerce(value);
+    if (nulls.includes(value)) value = null;
+    output[name] = value ?? fallback;
+  }
+  return output;
+}
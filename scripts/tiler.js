@@ -0,0 +1,333 @@
+/**
+ * tiler.js - Cut GeoJSON geometry into vector tile geometry
+ *
+ * Features are projected to Web Mercator once, then simplified for each zoom
+ * and clipped to each tile they touch, with a small buffer so lines don't
+ * show seams at tile edges.
+ */
+
+import { EXTENT, GeometryType } from "./vector-tile.js";
+
+// Five pixels of a 256-pixel tile, tippecanoe's default
+const BUFFER = 80;
+
+// Web Mercator stops short of the poles
+const MAX_LATITUDE = 85.0511287798;
+
+/**
+ * Project longitude and latitude to Web Mercator, scaled so the world runs
+ * from 0 to 1 with y pointing south.
+ */
+export function projectPoint([lng, lat]) {
+  const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const sin = Math.sin((clamped * Math.PI) / 180);
+  return [
+    (lng + 180) / 360,
+    0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI),
+  ];
+}
+
+function getParts({ type, coordinates }) {
+  switch (type) {
+    case "Point":
+      return [GeometryType.Point, [coordinates]];
+    case "MultiPoint":
+      return [GeometryType.Point, coordinates];
+    case "LineString":
+      return [GeometryType.LineString, [coordinates]];
+    case "MultiLineString":
+      return [GeometryType.LineString, coordinates];
+    case "Polygon":
+      return [GeometryType.Polygon, [coordinates]];
+    case "MultiPolygon":
+      return [GeometryType.Polygon, coordinates];
+    default:
+      return [null, []];
+  }
+}
+
+/**
+ * Project a GeoJSON geometry ready for tiling. Returns null for geometry
+ * the tiles can't hold.
+ */
+export function prepareGeometry(geometry) {
+  const [type, parts] = geometry ? getParts(geometry) : [null, []];
+  if (!type || !parts.length) return null;
+
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  const project = (point) => {
+    const [x, y] = projectPoint(point);
+    bbox[0] = Math.min(bbox[0], x);
+    bbox[1] = Math.min(bbox[1], y);
+    bbox[2] = Math.max(bbox[2], x);
+    bbox[3] = Math.max(bbox[3], y);
+    return [x, y];
+  };
+  const projected =
+    type === GeometryType.Point
+      ? parts.map(project)
+      : type === GeometryType.LineString
+        ? parts.map((line) => line.map(project))
+        : parts.map((polygon) => polygon.map((ring) => ring.map(project)));
+  return { type, parts: projected, bbox };
+}
+
+// Squared distance from `p` to the segment from `a` to `b`
+function segmentDistance(p, a, b) {
+  let [x, y] = a;
+  let dx = b[0] - x;
+  let dy = b[1] - y;
+  if (dx !== 0 || dy !== 0) {
+    const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) [x, y] = b;
+    else if (t > 0) [x, y] = [x + dx * t, y + dy * t];
+  }
+  dx = p[0] - x;
+  dy = p[1] - y;
+  return dx * dx + dy * dy;
+}
+
+/**
+ * Drop the vertices of `line` that stray less than `tolerance` from it,
+ * with the Douglas-Peucker algorithm.
+ */
+export function simplifyLine(line, tolerance) {
+  if (line.length <= 2 || tolerance <= 0) return line;
+  const keep = new Uint8Array(line.length);
+  keep[0] = keep[line.length - 1] = 1;
+  const stack = [[0, line.length - 1]];
+  const limit = tolerance * tolerance;
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let distance = limit;
+    for (let i = first + 1; i < last; i++) {
+      const d = segmentDistance(line[i], line[first], line[last]);
+      if (d > distance) [farthest, distance] = [i, d];
+    }
+    if (farthest > 0) {
+      keep[farthest] = 1;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+  return line.filter((_, i) => keep[i]);
+}
+
+// The part of the segment from `a` to `b` inside the box, as a pair of
+// fractions along it, with the Liang-Barsky algorithm
+function clipSegment(a, b, min, max) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  let t0 = 0;
+  let t1 = 1;
+  for (const [p, q] of [
+    [-dx, a[0] - min],
+    [dx, max - a[0]],
+    [-dy, a[1] - min],
+    [dy, max - a[1]],
+  ]) {
+    if (p === 0) {
+      if (q < 0) return null;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      if (t > t1) return null;
+      t0 = Math.max(t0, t);
+    } else {
+      if (t < t0) return null;
+      t1 = Math.min(t1, t);
+    }
+  }
+  return [t0, t1];
+}
+
+const lerp = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+
+/**
+ * Clip a line to the square from `min` to `max`. A line that leaves and
+ * comes back splits into several.
+ */
+export function clipLine(line, min, max) {
+  const pieces = [];
+  let current = [];
+  for (let i = 0; i < line.length - 1; i++) {
+    const a = line[i];
+    const b = line[i + 1];
+    const clipped = clipSegment(a, b, min, max);
+    if (!clipped) {
+      if (current.length) pieces.push(current);
+      current = [];
+      continue;
+    }
+    const [t0, t1] = clipped;
+    if (t0 > 0 && current.length) {
+      pieces.push(current);
+      current = [];
+    }
+    if (!current.length) current.push(lerp(a, b, t0));
+    current.push(lerp(a, b, t1));
+    if (t1 < 1) {
+      pieces.push(current);
+      current = [];
+    }
+  }
+  if (current.length) pieces.push(current);
+  return pieces;
+}
+
+// Clip an open ring to one edge of the box, Sutherland-Hodgman style
+function clipRingEdge(ring, inside, intersect) {
+  const clipped = [];
+  for (let i = 0; i < ring.length; i++) {
+    const current = ring[i];
+    const previous = ring.at(i - 1);
+    if (inside(current)) {
+      if (!inside(previous)) clipped.push(intersect(previous, current));
+      clipped.push(current);
+    } else if (inside(previous)) {
+      clipped.push(intersect(previous, current));
+    }
+  }
+  return clipped;
+}
+
+/**
+ * Clip a polygon ring to the square from `min` to `max`. The ring comes
+ * back open, without repeating its first point.
+ */
+export function clipRing(ring, min, max) {
+  let clipped = ring.slice(0, -1);
+  const atX = (x) => (a, b) => lerp(a, b, (x - a[0]) / (b[0] - a[0]));
+  const atY = (y) => (a, b) => lerp(a, b, (y - a[1]) / (b[1] - a[1]));
+  for (const [inside, intersect] of [
+    [(p) => p[0] >= min, atX(min)],
+    [(p) => p[0] <= max, atX(max)],
+    [(p) => p[1] >= min, atY(min)],
+    [(p) => p[1] <= max, atY(max)],
+  ]) {
+    if (!clipped.length) break;
+    clipped = clipRingEdge(clipped, inside, intersect);
+  }
+  return clipped;
+}
+
+// Round to whole tile units, dropping the repeats that leaves behind
+function quantize(points) {
+  const rounded = [];
+  for (const [x, y] of points) {
+    const last = rounded.at(-1);
+    const point = [Math.round(x), Math.round(y)];
+    if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+      rounded.push(point);
+    }
+  }
+  return rounded;
+}
+
+// Twice the signed area, positive for clockwise rings with y pointing down
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return area;
+}
+
+function clipPolygon(polygon, min, max) {
+  const rings = [];
+  for (const [i, ring] of polygon.entries()) {
+    const clipped = quantize(clipRing(ring, min, max));
+    const first = clipped[0];
+    const last = clipped.at(-1);
+    if (first && first[0] === last[0] && first[1] === last[1]) clipped.pop();
+    const area = ringArea(clipped);
+    if (clipped.length < 3 || area === 0) {
+      // Without its outer ring the whole polygon is gone
+      if (i === 0) return [];
+      continue;
+    }
+    // Outer rings run clockwise and holes counterclockwise
+    if (i === 0 ? area < 0 : area > 0) clipped.reverse();
+    rings.push(clipped);
+  }
+  return rings;
+}
+
+/**
+ * The tiles at zoom `z` that a bounding box in world coordinates reaches,
+ * buffer included, as `[minX, minY, maxX, maxY]`.
+ */
+export function getTileRange(bbox, z) {
+  const n = 2 ** z;
+  const buffer = BUFFER / EXTENT;
+  const clamp = (value) => Math.max(0, Math.min(n - 1, Math.floor(value)));
+  return [
+    clamp(bbox[0] * n - buffer),
+    clamp(bbox[1] * n - buffer),
+    clamp(bbox[2] * n + buffer),
+    clamp(bbox[3] * n + buffer),
+  ];
+}
+
+/**
+ * Cut a prepared feature into the tiles it touches at zoom `z`. Yields the
+ * x and y of each tile with the geometry inside it, in tile coordinates.
+ * Lines and polygons are simplified to within `simplification` tile units.
+ * Pass a set of "x/y" keys as `only` to skip every other tile.
+ */
+export function* tileGeometry(
+  { type, parts, bbox },
+  z,
+  simplification = 0,
+  only = null,
+) {
+  const n = 2 ** z;
+  const [minX, minY, maxX, maxY] = getTileRange(bbox, z);
+
+  const tolerance = simplification / (EXTENT * n);
+  const simplified =
+    type === GeometryType.LineString
+      ? parts.map((line) => simplifyLine(line, tolerance))
+      : type === GeometryType.Polygon
+        ? parts.map((polygon) =>
+            polygon.map((ring) => simplifyLine(ring, tolerance)),
+          )
+        : parts;
+
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      if (only && !only.has(`${x}/${y}`)) continue;
+      const toTile = ([px, py]) => [
+        (px * n - x) * EXTENT,
+        (py * n - y) * EXTENT,
+      ];
+      const min = -BUFFER;
+      const max = EXTENT + BUFFER;
+      let geometry;
+      if (type === GeometryType.Point) {
+        geometry = quantize(
+          simplified
+            .map(toTile)
+            .filter(
+              ([px, py]) => px >= min && px <= max && py >= min && py <= max,
+            ),
+        );
+      } else if (type === GeometryType.LineString) {
+        geometry = simplified
+          .flatMap((line) => clipLine(line.map(toTile), min, max))
+          .map(quantize)
+          .filter((line) => line.length > 1);
+      } else {
+        geometry = simplified.flatMap((polygon) =>
+          clipPolygon(
+            polygon.map((ring) => ring.map(toTile)),
+            min,
+            max,
+          ),
+        );
+      }
+      if (geometry.length) yield { x, y, geometry };
+    }
+  }
+}
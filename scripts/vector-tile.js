@@ -0,0 +1,152 @@
+/**
+ * vector-tile.js - Encode Mapbox Vector Tiles
+ *
+ * Just enough of the protocol buffer format to write the tiles MapLibre
+ * reads. Geometry arrives already clipped and in tile coordinates.
+ */
+
+export const EXTENT = 4096;
+
+export const GeometryType = { Point: 1, LineString: 2, Polygon: 3 };
+
+// Protocol buffer helpers, writing into plain arrays of bytes
+
+function writeVarint(bytes, value) {
+  while (value > 0x7f) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+}
+
+function writeTag(bytes, number, wireType) {
+  writeVarint(bytes, number * 8 + wireType);
+}
+
+function writeBytes(bytes, number, payload) {
+  writeTag(bytes, number, 2);
+  writeVarint(bytes, payload.length);
+  for (const byte of payload) bytes.push(byte);
+}
+
+function writePacked(bytes, number, values) {
+  const payload = [];
+  for (const value of values) writeVarint(payload, value);
+  writeBytes(bytes, number, payload);
+}
+
+/**
+ * Encode a non-negative integer as a protocol buffer varint.
+ */
+export function varint(value) {
+  const bytes = [];
+  writeVarint(bytes, value);
+  return Buffer.from(bytes);
+}
+
+const zigzag = (n) => (n < 0 ? -2 * n - 1 : 2 * n);
+
+const command = (id, count) => (id & 0x7) | (count << 3);
+
+function encodeGeometry(type, geometry) {
+  const commands = [];
+  let [cx, cy] = [0, 0];
+  const moveTo = ([x, y]) => {
+    commands.push(zigzag(x - cx), zigzag(y - cy));
+    [cx, cy] = [x, y];
+  };
+
+  if (type === GeometryType.Point) {
+    commands.push(command(1, geometry.length));
+    geometry.forEach(moveTo);
+    return commands;
+  }
+
+  for (const part of geometry) {
+    commands.push(command(1, 1));
+    moveTo(part[0]);
+    commands.push(command(2, part.length - 1));
+    part.slice(1).forEach(moveTo);
+    if (type === GeometryType.Polygon) commands.push(command(7, 1));
+  }
+  return commands;
+}
+
+function encodeValue(value) {
+  const bytes = [];
+  if (typeof value === "string") {
+    writeBytes(bytes, 1, Buffer.from(value));
+  } else if (typeof value === "boolean") {
+    writeTag(bytes, 7, 0);
+    writeVarint(bytes, value ? 1 : 0);
+  } else if (Number.isSafeInteger(value)) {
+    writeTag(bytes, 6, 0);
+    writeVarint(bytes, zigzag(value));
+  } else {
+    const double = Buffer.alloc(8);
+    double.writeDoubleLE(value);
+    writeTag(bytes, 3, 1);
+    for (const byte of double) bytes.push(byte);
+  }
+  return bytes;
+}
+
+function encodeLayer(name, features, extent) {
+  const keys = new Map();
+  const values = new Map();
+  const lookup = (map, key) => {
+    if (!map.has(key)) map.set(key, map.size);
+    return map.get(key);
+  };
+
+  const layer = [];
+  writeTag(layer, 15, 0);
+  writeVarint(layer, 2);
+  writeBytes(layer, 1, Buffer.from(name));
+
+  for (const { id, type, properties, geometry } of features) {
+    const tags = [];
+    for (const [key, value] of Object.entries(properties)) {
+      // Vector tiles have no null, so missing values are left out
+      if (value == null) continue;
+      tags.push(lookup(keys, key), lookup(values, `${typeof value}:${value}`));
+    }
+    const feature = [];
+    if (Number.isSafeInteger(id) && id >= 0) {
+      writeTag(feature, 1, 0);
+      writeVarint(feature, id);
+    }
+    writePacked(feature, 2, tags);
+    writeTag(feature, 3, 0);
+    writeVarint(feature, type);
+    writePacked(feature, 4, encodeGeometry(type, geometry));
+    writeBytes(layer, 2, feature);
+  }
+
+  for (const key of keys.keys()) writeBytes(layer, 3, Buffer.from(key));
+  for (const key of values.keys()) {
+    const type = key.slice(0, key.indexOf(":"));
+    const text = key.slice(type.length + 1);
+    const value =
+      type === "string" ? text : type === "boolean" ? text === "true" : +text;
+    writeBytes(layer, 4, encodeValue(value));
+  }
+  writeTag(layer, 5, 0);
+  writeVarint(layer, extent);
+  return layer;
+}
+
+/**
+ * Encode a tile from an object of layer names to features. Each feature has
+ * a `type` from `GeometryType`, `properties` and a `geometry`: a list of
+ * points for points, or a list of lines or rings of points otherwise.
+ */
+export function encodeTile(layers, extent = EXTENT) {
+  const tile = [];
+  for (const [name, features] of Object.entries(layers)) {
+    if (features.length) {
+      writeBytes(tile, 3, encodeLayer(name, features, extent));
+    }
+  }
+  return Buffer.from(tile);
+}
@@ -0,0 +1,218 @@
+import {
+  setupDatasetToggles,
+  setupImageExport,
+  setupPalettePicker,
+  setupPlaybackControls,
+  setupProjectionToggle,
+  setupSeasonFilter,
+  setupSpinnerControls,
+  setupStormFilters,
+  setupStormView,
+  setupThemePicker,
+} from "./controls.js";
+import { createStormFilters } from "./filters.js";
+import { writeHashState } from "./hash.js";
+import { applyStormPalette } from "./layers.js";
+import { attachLegend } from "./legend.js";
+import { createStormPlayback } from "./playback.js";
+import { attachStormPopups } from "./popup.js";
+import { getProjectionName } from "./projection.js";
+import {
+  createStormHighlighter,
+  loadStormIndex,
+  setupStormSearch,
+} from "./search.js";
+import { createAutoSpin, createGlobeSpinner } from "./spinner.js";
+import { attachStormSummary } from "./summary.js";
+import {
+  applyTheme,
+  defaultPalette,
+  defaultTheme,
+  getStormPalette,
+} from "./themes.js";
+
+/**
+ * Tell the reader when part of the map couldn't load, in the page's
+ * #map-status panel.
+ */
+export function showMapStatus(message) {
+  const status = document.getElementById("map-status");
+  const line = document.createElement("p");
+  line.textContent = message;
+  status.appendChild(line);
+  status.hidden = false;
+}
+
+/**
+ * Turn the state read from a shared link into `createStormMap` options.
+ */
+export function readStormAppOptions(hashState = {}) {
+  const filters = createStormFilters();
+  for (const key of ["seasons", "basins", "categories"]) {
+    if (hashState[key]) filters[key] = hashState[key];
+  }
+  return {
+    center: hashState.center,
+    zoom: hashState.zoom,
+    bearing: hashState.bearing,
+    projection: hashState.projection,
+    view: hashState.view ?? "lines",
+    theme: hashState.theme ?? defaultTheme,
+    palette: hashState.palette ?? defaultPalette,
+    stepped: hashState.stepped ?? false,
+    filters,
+  };
+}
+
+/**
+ * Wire the demo page's panels to a map from `createStormMap`: popups, the
+ * auto-spinning globe, the filters, theme and palette pickers, storm search
+ * and playback, image export, and the hash that makes the view shareable.
+ *
+ * The panels are found by the ids `src/index.html` gives them. Pass the
+ * `hashState` the map was created from so the controls start in step with it.
+ */
+export function setupStormApp(
+  map,
+  { stormsArchive, datasets, hashState = {}, onStatus = showMapStatus },
+) {
+  const options = readStormAppOptions(hashState);
+  const { filters } = options;
+  const colors = { palette: options.palette, stepped: options.stepped };
+  let { view, theme } = options;
+
+  // MapLibre makes the canvas a focusable region; say what's on it
+  const canvas = map.getCanvas();
+  canvas.setAttribute("aria-label", "Map of tropical storm tracks");
+  canvas.setAttribute("aria-describedby", "map-description");
+
+  const popup = attachStormPopups(map, {
+    onOpen: () => autoSpin.interrupt(),
+    onClose: () => autoSpin.scheduleResume(),
+  });
+  const spinner = createGlobeSpinner(map, hashState.speed);
+  let updateSpinnerControls = () => {};
+  let highlighter = null;
+  const autoSpin = createAutoSpin(map, spinner, {
+    playing: hashState.spinning ?? true,
+    // Only the globe spins, and it holds still while a popup or a
+    // searched-for storm is on screen
+    canResume: () =>
+      getProjectionName(map) === "globe" &&
+      !popup.isOpen() &&
+      !highlighter?.getSelected(),
+    onChange: () => updateSpinnerControls(),
+  });
+
+  // Throttle hash writes so a spinning globe doesn't rewrite it every frame
+  let hashTimer = null;
+  function saveHashState() {
+    if (hashTimer) return;
+    hashTimer = setTimeout(() => {
+      hashTimer = null;
+      writeHashState(map, {
+        spinning: autoSpin.isPlaying(),
+        speed: spinner.getSpeed(),
+        theme,
+        ...colors,
+        view,
+        filters,
+        storm: highlighter?.getSelected()?.id,
+      });
+    }, 250);
+  }
+  map.on("moveend", saveHashState);
+  map.on("stormfilterchange", saveHashState);
+
+  updateSpinnerControls = setupSpinnerControls(
+    spinner,
+    autoSpin,
+    document.getElementById("spinner-controls"),
+    saveHashState,
+  );
+  setupImageExport(map, document.getElementById("image-export"), {
+    onStart: () => autoSpin.interrupt(),
+    onEnd: () => autoSpin.scheduleResume(),
+  });
+  setupProjectionToggle(
+    map,
+    document.getElementById("spinner-controls"),
+    (projection) => {
+      if (projection === "globe") {
+        autoSpin.scheduleResume();
+      } else {
+        autoSpin.interrupt();
+      }
+      saveHashState();
+    },
+  );
+
+  // Every dataset that loaded can be switched off, storms or not
+  setupDatasetToggles(map, document.getElementById("dataset-panel"), datasets);
+
+  if (!stormsArchive) return;
+
+  attachLegend(map, document.getElementById("legend"));
+  setupSeasonFilter(map, filters, document.getElementById("season-filter"));
+  setupStormFilters(map, filters, document.getElementById("storm-filters"));
+  attachStormSummary(map, document.getElementById("storm-table"));
+  setupThemePicker(document.getElementById("theme-select"), theme, (value) => {
+    theme = value;
+    document.documentElement.dataset.theme = theme;
+    applyTheme(map, theme, { ...colors, onStatus }).catch((error) =>
+      console.error(error),
+    );
+    saveHashState();
+  });
+  setupPalettePicker(
+    document.getElementById("palette-select"),
+    document.getElementById("palette-stepped"),
+    colors,
+    (value) => {
+      Object.assign(colors, value);
+      applyStormPalette(map, getStormPalette(theme, colors));
+      saveHashState();
+    },
+  );
+  setupStormView(map, document.getElementById("view-filter"), view, (value) => {
+    view = value;
+    saveHashState();
+  });
+
+  loadStormIndex(stormsArchive.source.getKey())
+    .then((index) => {
+      highlighter = createStormHighlighter(map);
+      let updatePlaybackControls = () => {};
+      const playback = createStormPlayback(map, {
+        onFrame: () => updatePlaybackControls(),
+      });
+      updatePlaybackControls = setupPlaybackControls(
+        playback,
+        document.getElementById("storm-playback"),
+      );
+
+      const search = setupStormSearch(
+        map,
+        index,
+        highlighter,
+        document.getElementById("storm-search-panel"),
+        (storm) => {
+          playback.clear();
+          if (storm) {
+            autoSpin.interrupt();
+            // The track comes from loaded tiles, so wait for them
+            map.once("idle", () => {
+              if (highlighter.getSelected() === storm) {
+                playback.load(storm.id);
+              }
+            });
+          } else {
+            autoSpin.scheduleResume();
+          }
+          saveHashState();
+        },
+      );
+      if (hashState.storm) search.selectById(hashState.storm);
+    })
+    .catch((error) => console.warn("Storm search unavailable", error));
+}
@@ -0,0 +1,379 @@
+import {
+  applyStormFilters,
+  firstSeason,
+  lastSeason,
+  stormBasins,
+  stormCategories,
+} from "./filters.js";
+import { downloadMapImage } from "./export.js";
+import { basinNames, formatCategory } from "./format.js";
+import {
+  isDatasetVisible,
+  setDatasetVisibility,
+  setStormView,
+} from "./layers.js";
+import { getProjectionName, transitionProjection } from "./projection.js";
+import { onViewChange } from "./summary.js";
+import { palettes, themes } from "./themes.js";
+
+/**
+ * Wire the season sliders and the "play through the years" button in
+ * `panel` to the `filters` state.
+ */
+export function setupSeasonFilter(map, filters, panel) {
+  const fromInput = panel.querySelector("#season-from");
+  const toInput = panel.querySelector("#season-to");
+  const label = panel.querySelector("#season-label");
+  const playButton = panel.querySelector("#season-play");
+  const stepDelay = 800;
+  let playTimer = null;
+
+  for (const input of [fromInput, toInput]) {
+    input.min = firstSeason;
+    input.max = lastSeason;
+  }
+
+  function setSeasons(from, to) {
+    filters.seasons = [from, to];
+    fromInput.value = from;
+    toInput.value = to;
+    label.textContent = from === to ? from : `${from}–${to}`;
+    applyStormFilters(map, filters);
+  }
+
+  function stopPlaying() {
+    clearTimeout(playTimer);
+    playTimer = null;
+    playButton.textContent = "Play years";
+  }
+
+  function playFrom(year) {
+    setSeasons(year, year);
+    if (year >= lastSeason) {
+      stopPlaying();
+      return;
+    }
+    playTimer = setTimeout(() => playFrom(year + 1), stepDelay);
+  }
+
+  fromInput.addEventListener("input", () => {
+    stopPlaying();
+    const from = Number(fromInput.value);
+    setSeasons(from, Math.max(from, Number(toInput.value)));
+  });
+  toInput.addEventListener("input", () => {
+    stopPlaying();
+    const to = Number(toInput.value);
+    setSeasons(Math.min(Number(fromInput.value), to), to);
+  });
+  playButton.addEventListener("click", () => {
+    if (playTimer) {
+      stopPlaying();
+      return;
+    }
+    playButton.textContent = "Stop";
+    // Pick up from the current start year, or start over once at the end
+    const [from] = filters.seasons;
+    playFrom(from >= lastSeason ? firstSeason : from);
+  });
+
+  setSeasons(...filters.seasons);
+  panel.hidden = false;
+}
+
+/**
+ * Build the basin and category checkboxes in `panel` and keep the layer
+ * filter and visible storm count live.
+ */
+export function setupStormFilters(map, filters, panel) {
+  const groups = [
+    {
+      key: "basins",
+      fieldset: panel.querySelector("#basin-filter"),
+      values: stormBasins,
+      format: (basin) => basinNames[basin],
+    },
+    {
+      key: "categories",
+      fieldset: panel.querySelector("#category-filter"),
+      values: stormCategories,
+      format: formatCategory,
+    },
+  ];
+
+  for (const { key, fieldset, values, format } of groups) {
+    for (const value of values) {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = value;
+      checkbox.checked = filters[key].includes(value);
+      checkbox.addEventListener("change", () => {
+        filters[key] = values.filter(
+          (v) => fieldset.querySelector(`input[value="${v}"]`).checked,
+        );
+        applyStormFilters(map, filters);
+      });
+      label.append(checkbox, format(value));
+      fieldset.appendChild(label);
+    }
+  }
+
+  // Count the tracks drawn in the current view as it changes. The density
+  // view has no tracks to count.
+  const count = panel.querySelector("#storm-count");
+  onViewChange(map, () => {
+    if (map.getLayoutProperty("storms-line", "visibility") === "none") {
+      count.textContent = "";
+      return;
+    }
+    const features = map.queryRenderedFeatures({
+      layers: ["storms-line"],
+    });
+    const storms = new Set(features.map((f) => f.properties.SID));
+    count.textContent =
+      `${storms.size.toLocaleString()} storms, ` +
+      `${features.length.toLocaleString()} track segments in view`;
+  });
+
+  panel.hidden = false;
+}
+
+/**
+ * Wire the line/density radio buttons in `fieldset` to the storm layers.
+ * `onChange` gets the newly picked view.
+ */
+export function setupStormView(map, fieldset, view, onChange) {
+  for (const radio of fieldset.querySelectorAll("input[type=radio]")) {
+    radio.checked = radio.value === view;
+    radio.addEventListener("change", () => {
+      setStormView(map, radio.value);
+      onChange(radio.value);
+    });
+  }
+}
+
+/**
+ * Add a checkbox to the fieldset in `panel` for each of the map's
+ * `datasets` that shows or hides its layers.
+ */
+export function setupDatasetToggles(map, panel, datasets) {
+  const fieldset = panel.querySelector("fieldset");
+  for (const { id, label } of datasets) {
+    const wrapper = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = id;
+    checkbox.checked = isDatasetVisible(map, id);
+    checkbox.addEventListener("change", () => {
+      setDatasetVisibility(map, id, checkbox.checked);
+    });
+    wrapper.append(checkbox, label);
+    fieldset.appendChild(wrapper);
+  }
+  panel.hidden = !datasets.length;
+}
+
+/**
+ * Fill the theme `select` from the theme registry. `onChange` gets the
+ * picked theme's name.
+ */
+export function setupThemePicker(select, theme, onChange) {
+  select.replaceChildren(
+    ...Object.entries(themes).map(([name, { label }]) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = label;
+      return option;
+    }),
+  );
+  select.value = theme;
+  select.addEventListener("change", () => onChange(select.value));
+}
+
+/**
+ * Fill the palette `select` and wire it and the `stepped` checkbox.
+ * `onChange` gets the picked `{ palette, stepped }`.
+ */
+export function setupPalettePicker(
+  select,
+  steppedInput,
+  { palette, stepped },
+  onChange,
+) {
+  select.replaceChildren(
+    ...Object.entries(palettes).map(([name, { label }]) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = label;
+      return option;
+    }),
+  );
+  select.value = palette;
+  steppedInput.checked = stepped;
+
+  function change() {
+    onChange({ palette: select.value, stepped: steppedInput.checked });
+  }
+  select.addEventListener("change", change);
+  steppedInput.addEventListener("change", change);
+}
+
+/**
+ * Wire the globe/flat map button in `panel`. The panel's other controls
+ * drive the spinner, so they are disabled while the map is flat. `onChange`
+ * gets the new projection once the switch is done.
+ */
+export function setupProjectionToggle(map, panel, onChange) {
+  const toggleButton = panel.querySelector("#projection-toggle");
+
+  function update() {
+    const name = getProjectionName(map);
+    toggleButton.textContent = name === "globe" ? "Flat map" : "Globe";
+    toggleButton.setAttribute("aria-pressed", String(name === "mercator"));
+    for (const control of panel.querySelectorAll("button, input")) {
+      if (control !== toggleButton) control.disabled = name !== "globe";
+    }
+  }
+
+  toggleButton.addEventListener("click", async () => {
+    const name = getProjectionName(map) === "globe" ? "mercator" : "globe";
+    toggleButton.disabled = true;
+    await transitionProjection(map, name);
+    toggleButton.disabled = false;
+    update();
+    onChange(name);
+  });
+
+  update();
+}
+
+/**
+ * Wire the play/pause, direction and speed controls in `panel` to a spinner
+ * and the auto-spin controller driving it.
+ */
+export function setupSpinnerControls(spinner, autoSpin, panel, onChange) {
+  const toggleButton = panel.querySelector("#spinner-toggle");
+  const directionButton = panel.querySelector("#spinner-direction");
+  const speedInput = panel.querySelector("#spinner-speed");
+
+  function update() {
+    const playing = autoSpin.isPlaying();
+    toggleButton.textContent = playing ? "Pause" : "Play";
+    toggleButton.setAttribute("aria-pressed", String(!playing));
+    speedInput.value = Math.abs(spinner.getSpeed());
+    onChange();
+  }
+
+  toggleButton.addEventListener("click", () => {
+    autoSpin.setPlaying(!autoSpin.isPlaying());
+  });
+  // "P" pauses and resumes the spin from anywhere but a form field
+  document.addEventListener("keydown", (event) => {
+    if (event.key.toLowerCase() !== "p") return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest?.("input, select, textarea")) return;
+    autoSpin.setPlaying(!autoSpin.isPlaying());
+  });
+  directionButton.addEventListener("click", () => {
+    spinner.setSpeed(-spinner.getSpeed());
+    onChange();
+  });
+  speedInput.addEventListener("input", () => {
+    const direction = Math.sign(spinner.getSpeed()) || 1;
+    spinner.setSpeed(direction * Number(speedInput.value));
+    onChange();
+  });
+
+  update();
+  panel.hidden = false;
+  return update;
+}
+
+/**
+ * Wire the play/pause button, scrubber and date readout in `panel` to a
+ * storm playback. Call the returned function after loading a storm.
+ */
+export function setupPlaybackControls(playback, panel) {
+  const toggleButton = panel.querySelector("#playback-toggle");
+  const scrubInput = panel.querySelector("#playback-scrub");
+  const readout = panel.querySelector("#playback-readout");
+
+  function update() {
+    const length = playback.getLength();
+    panel.hidden = length === 0;
+    if (!length) return;
+
+    const playing = playback.isPlaying();
+    toggleButton.textContent = playing ? "Pause" : "Play track";
+    toggleButton.setAttribute("aria-pressed", String(playing));
+    scrubInput.max = length;
+    scrubInput.value = playback.getPosition();
+
+    const {
+      ISO_TIME: time,
+      USA_SSHS,
+      USA_WIND,
+    } = playback.getCurrent().properties;
+    const wind = Number(USA_WIND);
+    readout.textContent = [
+      `${time.slice(0, 16)} UTC`,
+      formatCategory(USA_SSHS),
+      Number.isFinite(wind) && wind > 0 ? `${wind} knots` : null,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  toggleButton.addEventListener("click", () => {
+    if (playback.isPlaying()) {
+      playback.stop();
+    } else {
+      playback.start();
+    }
+  });
+  scrubInput.addEventListener("input", () => {
+    playback.stop();
+    playback.seek(Number(scrubInput.value));
+  });
+
+  update();
+  return update;
+}
+
+/**
+ * Wire the title, size and download button in the `panel` form to save the
+ * current view as a PNG. The overlays borrow the panel's colors, so they
+ * follow the theme. `onStart` and `onEnd` bracket the export.
+ */
+export function setupImageExport(
+  map,
+  panel,
+  { onStart = () => {}, onEnd = () => {} } = {},
+) {
+  const titleInput = panel.querySelector("#export-title");
+  const scaleSelect = panel.querySelector("#export-scale");
+  const button = panel.querySelector("button[type=submit]");
+
+  panel.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    button.disabled = true;
+    onStart();
+    const { backgroundColor, color } = getComputedStyle(panel);
+    try {
+      await downloadMapImage(map, {
+        scale: Number(scaleSelect.value),
+        title: titleInput.value.trim(),
+        background: backgroundColor,
+        color,
+      });
+    } catch (error) {
+      console.error("Image export failed", error);
+    } finally {
+      button.disabled = false;
+      onEnd();
+    }
+  });
+
+  panel.hidden = false;
+}
@@ -0,0 +1,22 @@
+import { stormLinePaint } from "./layers.js";
+
+/**
+ * The datasets the map draws over its basemap, bottom to top, all under the
+ * basemap's labels. Each names its PMTiles archive `url`, the `sourceLayer`
+ * to draw from it and a `label` for the layers control, plus the MapLibre
+ * layer `type`, `paint` and optional `layout` and `filter`. The layer is
+ * called `<id>-<type>` unless a `layerId` is given.
+ *
+ * Every dataset but the storm tracks needs a `url`. The storms archive is
+ * found when the map loads, and the storm filters, popups and search all
+ * work on it.
+ */
+export const datasets = [
+  {
+    id: "storms",
+    label: "Storm tracks",
+    sourceLayer: "storms",
+    type: "line",
+    paint: stormLinePaint,
+  },
+];
@@ -0,0 +1,181 @@
+import { formatCategory } from "./format.js";
+import { getExpressionStops } from "./legend.js";
+
+// Copy the map's WebGL canvas right after a frame draws, while it still holds
+// the picture
+function captureCanvas(map) {
+  return new Promise((resolve) => {
+    map.once("render", () => {
+      const source = map.getCanvas();
+      const copy = document.createElement("canvas");
+      copy.width = source.width;
+      copy.height = source.height;
+      copy.getContext("2d").drawImage(source, 0, 0);
+      resolve(copy);
+    });
+    map.triggerRepaint();
+  });
+}
+
+// The legend rows for whichever storm view is showing
+function getLegendRows(map) {
+  const density = map.getLayer("storms-density");
+  if (
+    density &&
+    map.getLayoutProperty("storms-density", "visibility") !== "none"
+  ) {
+    return {
+      heading: "Storm frequency",
+      ramp: getExpressionStops(
+        map.getPaintProperty("storms-density", "heatmap-color"),
+      ),
+    };
+  }
+  if (!map.getLayer("storms-line")) return null;
+  const stops = getExpressionStops(
+    map.getPaintProperty("storms-line", "line-color"),
+  );
+  return {
+    heading: "Saffir-Simpson category",
+    rows: stops.map(({ value, output }) => ({
+      color: output,
+      label: formatCategory(value ?? stops[1].value - 1),
+    })),
+  };
+}
+
+function drawPanel(context, x, y, width, height, background) {
+  context.fillStyle = background;
+  context.beginPath();
+  context.roundRect(x, y, width, height, 6);
+  context.fill();
+}
+
+/**
+ * Draw the title, legend and attribution over a map image. Sizes are in CSS
+ * pixels; `context` is already scaled to the image's pixel ratio.
+ */
+export function drawMapOverlay(
+  context,
+  map,
+  { width, height, title, attribution, background, color },
+) {
+  const font = `-apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif`;
+  context.textBaseline = "middle";
+
+  if (title) {
+    context.font = `600 20px ${font}`;
+    const titleWidth = context.measureText(title).width;
+    drawPanel(context, 10, 10, titleWidth + 24, 40, background);
+    context.fillStyle = color;
+    context.fillText(title, 22, 30);
+  }
+
+  const legend = getLegendRows(map);
+  if (legend) {
+    const rowCount = legend.rows?.length ?? 2;
+    const legendHeight = 36 + rowCount * 18;
+    const top = height - 30 - legendHeight;
+    drawPanel(context, 10, top, 180, legendHeight, background);
+    context.fillStyle = color;
+    context.font = `600 12px ${font}`;
+    context.fillText(legend.heading.toUpperCase(), 22, top + 18);
+
+    context.font = `12px ${font}`;
+    if (legend.ramp) {
+      const gradient = context.createLinearGradient(22, 0, 178, 0);
+      for (const { value, output } of legend.ramp) {
+        gradient.addColorStop(value, output);
+      }
+      context.fillStyle = gradient;
+      context.fillRect(22, top + 32, 156, 10);
+      context.fillStyle = color;
+      context.fillText("Fewer", 22, top + 56);
+      context.textAlign = "right";
+      context.fillText("More", 178, top + 56);
+      context.textAlign = "left";
+    } else {
+      legend.rows.forEach(({ color: swatch, label }, i) => {
+        const rowY = top + 36 + i * 18;
+        context.fillStyle = swatch;
+        context.fillRect(22, rowY - 7, 14, 14);
+        context.fillStyle = color;
+        context.fillText(label, 44, rowY);
+      });
+    }
+  }
+
+  if (attribution) {
+    context.font = `11px ${font}`;
+    const attributionWidth = context.measureText(attribution).width;
+    drawPanel(
+      context,
+      width - attributionWidth - 22,
+      height - 26,
+      attributionWidth + 12,
+      20,
+      background,
+    );
+    context.fillStyle = color;
+    context.fillText(attribution, width - attributionWidth - 16, height - 16);
+  }
+}
+
+/**
+ * Render the current view at `scale` times its on-screen size, with a title,
+ * legend and attribution drawn on top. Resolves with a canvas.
+ */
+export async function renderMapImage(
+  map,
+  {
+    scale = 2,
+    title = "",
+    background = "rgba(20, 27, 38, 0.85)",
+    color = "#e4e7eb",
+  } = {},
+) {
+  const pixelRatio = map.getPixelRatio();
+  map.setPixelRatio(scale);
+  try {
+    await map.once("idle");
+    const image = await captureCanvas(map);
+
+    const container = map.getContainer();
+    const attribution = container
+      .querySelector(".maplibregl-ctrl-attrib-inner")
+      ?.textContent.trim();
+    const context = image.getContext("2d");
+    context.scale(scale, scale);
+    drawMapOverlay(context, map, {
+      width: container.clientWidth,
+      height: container.clientHeight,
+      title,
+      attribution,
+      background,
+      color,
+    });
+    return image;
+  } finally {
+    map.setPixelRatio(pixelRatio);
+  }
+}
+
+/**
+ * Save the current view as a PNG named `filename`.
+ */
+export async function downloadMapImage(
+  map,
+  { filename = "storm-map.png", ...options } = {},
+) {
+  const image = await renderMapImage(map, options);
+  const blob = await new Promise((resolve) =>
+    image.toBlob(resolve, "image/png"),
+  );
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the browser a moment to start the download before letting go
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,67 @@
+import { stormDensityLayerId, stormLayerIds } from "./layers.js";
+
+// The "since1980" IBTrACS archive starts in 1980 and runs to the present
+export const firstSeason = 1980;
+export const lastSeason = new Date().getFullYear();
+
+// Filterable IBTrACS basin codes and Saffir-Simpson buckets
+export const stormBasins = ["NA", "EP", "WP", "NI", "SI", "SP", "SA"];
+export const stormCategories = [-1, 0, 1, 2, 3, 4, 5];
+
+/**
+ * A filter state that lets every storm through. Override any of the keys to
+ * narrow it down.
+ */
+export function createStormFilters(overrides = {}) {
+  return {
+    seasons: [firstSeason, lastSeason],
+    basins: [...stormBasins],
+    categories: [...stormCategories],
+    ...overrides,
+  };
+}
+
+/**
+ * Combine a filter state into one MapLibre filter expression, or null when
+ * nothing is filtered out.
+ */
+export function buildStormFilter(filters) {
+  const conditions = [];
+
+  const [from, to] = filters.seasons;
+  if (from > firstSeason || to < lastSeason) {
+    const season = ["to-number", ["get", "SEASON"]];
+    conditions.push([">=", season, from], ["<=", season, to]);
+  }
+
+  if (filters.basins.length < stormBasins.length) {
+    conditions.push(["in", ["get", "BASIN"], ["literal", filters.basins]]);
+  }
+
+  // Disturbances below -1 fall into the tropical depression bucket
+  if (filters.categories.length < stormCategories.length) {
+    conditions.push([
+      "in",
+      ["max", ["get", "USA_SSHS"], -1],
+      ["literal", filters.categories],
+    ]);
+  }
+
+  return conditions.length ? ["all", ...conditions] : null;
+}
+
+/**
+ * Push a filter state onto the storm layers and fire "stormfilterchange" on
+ * the map so other parts of the page can follow along.
+ */
+export function applyStormFilters(
+  map,
+  filters,
+  layerIds = [...stormLayerIds, stormDensityLayerId],
+) {
+  const filter = buildStormFilter(filters);
+  for (const layerId of layerIds) {
+    if (map.getLayer(layerId)) map.setFilter(layerId, filter);
+  }
+  map.fire("stormfilterchange");
+}
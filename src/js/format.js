@@ -0,0 +1,25 @@
+// Readable labels for the IBTrACS codes shown in popups, legends and filters
+export const basinNames = {
+  NA: "North Atlantic",
+  EP: "Eastern North Pacific",
+  WP: "Western North Pacific",
+  NI: "North Indian",
+  SI: "South Indian",
+  SP: "Southern Pacific",
+  SA: "South Atlantic",
+  MM: "Missing",
+};
+
+export function formatCategory(sshs) {
+  if (sshs == null || sshs < -1) return "Disturbance";
+  if (sshs === -1) return "Tropical depression";
+  if (sshs === 0) return "Tropical storm";
+  return `Category ${sshs} hurricane`;
+}
+
+export function formatStormName(name) {
+  if (!name || name === "NOT_NAMED") return "Unnamed storm";
+  return name
+    .toLowerCase()
+    .replace(/(^|[\s-])\w/g, (letter) => letter.toUpperCase());
+}
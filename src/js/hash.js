@@ -0,0 +1,126 @@
+import {
+  firstSeason,
+  lastSeason,
+  stormBasins,
+  stormCategories,
+} from "./filters.js";
+import { defaultPalette, defaultTheme, palettes, themes } from "./themes.js";
+
+/**
+ * Read the shareable view from a hash like
+ * #map=1.5/15/0/0&projection=globe&spin=on&speed=10&theme=light&palette=viridis&stepped=on&view=density&seasons=2005-2005
+ */
+export function readHashState(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const state = {};
+
+  const view = (params.get("map") ?? "").split("/").map(Number);
+  if (view.length >= 3 && view.slice(0, 3).every(Number.isFinite)) {
+    const [zoom, lat, lng, bearing = 0] = view;
+    state.zoom = zoom;
+    state.center = [lng, lat];
+    state.bearing = Number.isFinite(bearing) ? bearing : 0;
+  }
+
+  if (["globe", "mercator"].includes(params.get("projection"))) {
+    state.projection = params.get("projection");
+  }
+
+  if (params.has("spin")) state.spinning = params.get("spin") !== "off";
+  const speed = Number(params.get("speed"));
+  if (params.has("speed") && Number.isFinite(speed) && speed !== 0) {
+    state.speed = speed;
+  }
+
+  if (Object.hasOwn(themes, params.get("theme"))) {
+    state.theme = params.get("theme");
+  }
+  if (Object.hasOwn(palettes, params.get("palette"))) {
+    state.palette = params.get("palette");
+  }
+  if (params.has("stepped")) state.stepped = params.get("stepped") === "on";
+  if (["lines", "density"].includes(params.get("view"))) {
+    state.view = params.get("view");
+  }
+
+  const seasons = (params.get("seasons") ?? "").split("-").map(Number);
+  if (seasons.length === 2 && seasons.every(Number.isInteger)) {
+    const from = Math.max(firstSeason, Math.min(...seasons));
+    const to = Math.min(lastSeason, Math.max(...seasons));
+    if (from <= to) state.seasons = [from, to];
+  }
+
+  if (params.has("basins")) {
+    state.basins = params
+      .get("basins")
+      .split(",")
+      .filter((basin) => stormBasins.includes(basin));
+  }
+  if (params.has("categories")) {
+    state.categories = params
+      .get("categories")
+      .split(",")
+      .filter(Boolean)
+      .map(Number)
+      .filter((category) => stormCategories.includes(category));
+  }
+
+  // IBTrACS storm ids look like 2005236N23285
+  if (/^\d{7}[NS]\d{5}$/.test(params.get("storm") ?? "")) {
+    state.storm = params.get("storm");
+  }
+
+  return state;
+}
+
+/**
+ * Mirror the view, spinner and filters into the hash without adding history.
+ */
+export function writeHashState(
+  map,
+  {
+    spinning,
+    speed,
+    theme = defaultTheme,
+    palette = defaultPalette,
+    stepped = false,
+    view = "lines",
+    filters,
+    storm,
+  },
+) {
+  const { lng, lat } = map.getCenter();
+  const params = new URLSearchParams();
+  params.set(
+    "map",
+    [
+      map.getZoom().toFixed(2),
+      lat.toFixed(3),
+      lng.toFixed(3),
+      Math.round(map.getBearing()),
+    ].join("/"),
+  );
+  params.set("projection", map.getProjection()?.type ?? "mercator");
+  params.set("spin", spinning ? "on" : "off");
+  params.set("speed", speed);
+  if (theme !== defaultTheme) params.set("theme", theme);
+  if (palette !== defaultPalette) params.set("palette", palette);
+  if (stepped) params.set("stepped", "on");
+  if (view !== "lines") params.set("view", view);
+
+  const [from, to] = filters.seasons;
+  if (from > firstSeason || to < lastSeason) {
+    params.set("seasons", `${from}-${to}`);
+  }
+  if (filters.basins.length < stormBasins.length) {
+    params.set("basins", filters.basins.join(","));
+  }
+  if (filters.categories.length < stormCategories.length) {
+    params.set("categories", filters.categories.join(","));
+  }
+  if (storm) params.set("storm", storm);
+
+  // Keep the commas and slashes readable in shared links
+  const hash = params.toString().replace(/%2C/g, ",").replace(/%2F/g, "/");
+  history.replaceState(null, "", `#${hash}`);
+}
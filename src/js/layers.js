@@ -0,0 +1,324 @@
+import { registerPmtilesProtocol } from "./sources.js";
+
+// One color per Saffir-Simpson category from -1 (depression) to 5, tuned for
+// a dark basemap
+export const stormCategoryColors = [
+  "#7aa6c7",
+  "#4dc9ff",
+  "#8bc34a",
+  "#ffd166",
+  "#f4a261",
+  "#e76f51",
+  "#c71f37",
+];
+
+// Turn a list of category colors into a color ramp on USA_SSHS, blended
+// between categories or, when `stepped`, one flat color each. The tile
+// schema gives storms without a category -1, so there's no gap to fill.
+export function buildCategoryColor(colors, { stepped = false } = {}) {
+  const category = ["get", "USA_SSHS"];
+  if (stepped) {
+    return [
+      "step",
+      category,
+      colors[0],
+      ...colors.slice(1).flatMap((color, i) => [i, color]),
+    ];
+  }
+  return [
+    "interpolate",
+    ["linear"],
+    category,
+    ...colors.flatMap((color, i) => [i - 1, color]),
+  ];
+}
+
+// Color by Saffir-Simpson category and size by wind speed
+export const stormLinePaint = {
+  "line-color": buildCategoryColor(stormCategoryColors),
+  "line-width": [
+    "interpolate",
+    ["linear"],
+    ["get", "USA_WIND"],
+    0,
+    0.8,
+    50,
+    2,
+    100,
+    3.5,
+    150,
+    5,
+  ],
+  "line-opacity": 0.5,
+};
+
+// Data layers go under the basemap's labels, which start at its first symbol layer
+export function getFirstSymbolLayerId(map) {
+  return map.getStyle().layers.find((layer) => layer.type === "symbol")?.id;
+}
+
+// Size the 6-hourly fixes by wind speed and color them like the tracks
+export const stormPointPaint = {
+  "circle-color": stormLinePaint["line-color"],
+  "circle-radius": [
+    "interpolate",
+    ["linear"],
+    ["get", "USA_WIND"],
+    0,
+    1,
+    50,
+    2,
+    100,
+    3.5,
+    150,
+    5,
+  ],
+  "circle-opacity": 0.6,
+};
+
+// Shade by how many fixes or track vertices pile up in an area
+export const stormDensityPaint = {
+  "heatmap-weight": 1,
+  "heatmap-intensity": [
+    "interpolate",
+    ["linear"],
+    ["zoom"],
+    0,
+    0.3,
+    2,
+    0.8,
+    8,
+    2,
+  ],
+  "heatmap-radius": ["interpolate", ["linear"], ["zoom"], 0, 4, 2, 10, 8, 30],
+  "heatmap-color": [
+    "interpolate",
+    ["linear"],
+    ["heatmap-density"],
+    0,
+    "rgba(0, 0, 0, 0)",
+    0.15,
+    "#3b0f70",
+    0.35,
+    "#8c2981",
+    0.55,
+    "#de4968",
+    0.8,
+    "#fe9f6d",
+    1,
+    "#fcfdbf",
+  ],
+  "heatmap-opacity": 0.85,
+};
+
+// The layers the storm filters, popups and search apply to
+export const stormLayerIds = ["storms-points", "storms-line"];
+export const stormDensityLayerId = "storms-density";
+
+// The layers shown by each storm view
+export const stormViews = {
+  lines: stormLayerIds,
+  density: [stormDensityLayerId],
+};
+
+// The zooms the storms archive is built with, which `make check` holds it to
+export const stormArchiveZooms = { minZoom: 0, maxZoom: 8 };
+
+// Check whether an archive's metadata lists a vector layer
+export async function hasSourceLayer(archive, name) {
+  const { vector_layers: vectorLayers = [] } = await archive.getMetadata();
+  return vectorLayers.some((layer) => layer.id === name);
+}
+
+/**
+ * Add a dataset from the registry in datasets.js to a loaded map: a source
+ * named for its `id` and one layer drawing its `sourceLayer`, under the
+ * basemap labels unless `beforeId` says otherwise. Returns the layer's id.
+ *
+ * `archive` is a pmtiles.PMTiles instance, opened from the dataset's `url`
+ * (an http(s) URL) when not given.
+ */
+export function addDataset(
+  map,
+  { id, url, sourceLayer, type, paint = {}, layout, filter, layerId },
+  { archive, beforeId = getFirstSymbolLayerId(map) } = {},
+) {
+  const protocol = registerPmtilesProtocol();
+  archive ??= new pmtiles.PMTiles(url);
+  protocol.add(archive);
+
+  map.addSource(id, {
+    type: "vector",
+    url: `pmtiles://${archive.source.getKey()}`,
+  });
+
+  layerId ??= `${id}-${type}`;
+  map.addLayer(
+    {
+      id: layerId,
+      type,
+      source: id,
+      "source-layer": sourceLayer,
+      // Marks the layer to carry over when the basemap changes
+      metadata: { dataset: id },
+      paint: structuredClone(paint),
+      ...(layout ? { layout: structuredClone(layout) } : {}),
+      ...(filter ? { filter } : {}),
+    },
+    beforeId,
+  );
+  return layerId;
+}
+
+/**
+ * Add the storms source and the `storms-line` layer to a loaded map.
+ *
+ * `archive` is a pmtiles.PMTiles instance; `url` is an http(s) URL to one.
+ */
+export function addStormLayer(
+  map,
+  {
+    archive,
+    url,
+    sourceId = "storms",
+    layerId = "storms-line",
+    paint = stormLinePaint,
+    filter = null,
+    beforeId,
+  } = {},
+) {
+  addDataset(
+    map,
+    {
+      id: sourceId,
+      url,
+      sourceLayer: "storms",
+      type: "line",
+      paint,
+      filter,
+      layerId,
+    },
+    { archive, beforeId },
+  );
+}
+
+/**
+ * Draw the archive's `points` layer of 6-hourly fixes as circles under the
+ * tracks. Call after `addStormLayer`.
+ */
+export function addStormPointLayer(
+  map,
+  {
+    sourceId = "storms",
+    layerId = "storms-points",
+    paint = stormPointPaint,
+    filter = null,
+    beforeId = "storms-line",
+  } = {},
+) {
+  map.addLayer(
+    {
+      id: layerId,
+      type: "circle",
+      source: sourceId,
+      "source-layer": "points",
+      paint: structuredClone(paint),
+      ...(filter ? { filter } : {}),
+    },
+    beforeId,
+  );
+}
+
+/**
+ * Add a heatmap of storm frequency from the storms source, hidden until
+ * `setStormView` switches to it. `sourceLayer` is best set to "points" when
+ * the archive has it; the track vertices stand in for the fixes otherwise.
+ */
+export function addStormDensityLayer(
+  map,
+  {
+    sourceId = "storms",
+    sourceLayer = "storms",
+    layerId = stormDensityLayerId,
+    paint = stormDensityPaint,
+    filter = null,
+    beforeId = "storms-line",
+  } = {},
+) {
+  map.addLayer(
+    {
+      id: layerId,
+      type: "heatmap",
+      source: sourceId,
+      "source-layer": sourceLayer,
+      layout: { visibility: "none" },
+      paint: structuredClone(paint),
+      ...(filter ? { filter } : {}),
+    },
+    beforeId,
+  );
+}
+
+// The datasets switched off on each map, and the storm view picked on it
+const hiddenDatasets = new WeakMap();
+const currentViews = new WeakMap();
+
+export function isDatasetVisible(map, id) {
+  return !hiddenDatasets.get(map)?.has(id);
+}
+
+/**
+ * Show or hide every layer drawn from a dataset's source. The storms come
+ * back in whichever view was last picked.
+ */
+export function setDatasetVisibility(map, id, visible) {
+  if (!hiddenDatasets.has(map)) hiddenDatasets.set(map, new Set());
+  const hidden = hiddenDatasets.get(map);
+  if (visible) hidden.delete(id);
+  else hidden.add(id);
+
+  for (const layer of map.getStyle().layers) {
+    if (layer.source !== id) continue;
+    map.setLayoutProperty(layer.id, "visibility", visible ? "visible" : "none");
+  }
+  if (currentViews.has(map)) setStormView(map, currentViews.get(map));
+}
+
+/**
+ * Show one of the `stormViews`, "lines" or "density", and hide the others.
+ * Nothing shows while the storms dataset is switched off.
+ */
+export function setStormView(map, view) {
+  currentViews.set(map, view);
+  for (const [name, layerIds] of Object.entries(stormViews)) {
+    for (const layerId of layerIds) {
+      const layer = map.getLayer(layerId);
+      if (!layer) continue;
+      const visible = name === view && isDatasetVisible(map, layer.source);
+      map.setLayoutProperty(
+        layerId,
+        "visibility",
+        visible ? "visible" : "none",
+      );
+    }
+  }
+}
+
+/**
+ * Recolor the storm layers with new category `colors`, stepped or blended,
+ * and change the track opacity when `lineOpacity` is given. Fires
+ * "stormpalettechange" so layers that copy the track colors can follow.
+ */
+export function applyStormPalette(map, { colors, stepped, lineOpacity }) {
+  const color = buildCategoryColor(colors, { stepped });
+  if (map.getLayer("storms-line")) {
+    map.setPaintProperty("storms-line", "line-color", color);
+    if (lineOpacity !== undefined) {
+      map.setPaintProperty("storms-line", "line-opacity", lineOpacity);
+    }
+  }
+  if (map.getLayer("storms-points")) {
+    map.setPaintProperty("storms-points", "circle-color", color);
+  }
+  map.fire("stormpalettechange");
+}
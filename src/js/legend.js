@@ -0,0 +1,92 @@
+import { formatCategory } from "./format.js";
+
+// Pull the input/output stop pairs out of an interpolate or step expression
+export function getExpressionStops(expression) {
+  if (!Array.isArray(expression)) return [];
+  const [operator] = expression;
+  const stops = [];
+  if (operator === "interpolate") {
+    for (let i = 3; i < expression.length; i += 2) {
+      stops.push({ value: expression[i], output: expression[i + 1] });
+    }
+  } else if (operator === "step") {
+    stops.push({ value: null, output: expression[2] });
+    for (let i = 3; i < expression.length; i += 2) {
+      stops.push({ value: expression[i], output: expression[i + 1] });
+    }
+  }
+  return stops;
+}
+
+/**
+ * Draw the legend into `panel` from whatever paint the storms layer is using
+ * right now, or the density ramp while the density view is showing.
+ */
+export function renderLegend(
+  map,
+  panel,
+  layerId = "storms-line",
+  densityLayerId = "storms-density",
+) {
+  if (!map.getLayer(layerId)) return;
+
+  // The density view swaps the track colors and widths for its color ramp
+  const density = panel.querySelector("#legend-density");
+  if (density) {
+    const showDensity =
+      Boolean(map.getLayer(densityLayerId)) &&
+      map.getLayoutProperty(densityLayerId, "visibility") !== "none";
+    density.hidden = !showDensity;
+    panel.querySelector("#legend-tracks").hidden = showDensity;
+    const colors = getExpressionStops(
+      map.getPaintProperty(densityLayerId, "heatmap-color"),
+    ).map(({ value, output }) => `${output} ${value * 100}%`);
+    density.querySelector(".legend-ramp").style.background =
+      `linear-gradient(to right, ${colors.join(", ")})`;
+  }
+
+  const colorList = panel.querySelector("#legend-color");
+  const colorStops = getExpressionStops(
+    map.getPaintProperty(layerId, "line-color"),
+  );
+  colorList.replaceChildren(
+    ...colorStops.map(({ value, output }) => {
+      const item = document.createElement("li");
+      const swatch = document.createElement("span");
+      swatch.className = "legend-swatch";
+      swatch.style.background = output;
+      const label = document.createElement("span");
+      // A step ramp's first color covers the category below its first stop
+      label.textContent = formatCategory(value ?? colorStops[1].value - 1);
+      item.append(swatch, label);
+      return item;
+    }),
+  );
+
+  const widthList = panel.querySelector("#legend-width");
+  widthList.replaceChildren(
+    ...getExpressionStops(map.getPaintProperty(layerId, "line-width")).map(
+      ({ value, output }) => {
+        const item = document.createElement("li");
+        const sample = document.createElement("span");
+        sample.className = "legend-line";
+        sample.style.height = `${output}px`;
+        const label = document.createElement("span");
+        label.textContent =
+          value === null ? "Below first stop" : `${value} knots`;
+        item.append(sample, label);
+        return item;
+      },
+    ),
+  );
+
+  panel.hidden = false;
+}
+
+/**
+ * Render the legend now and again after any later paint edits.
+ */
+export function attachLegend(map, panel, layerId = "storms-line") {
+  renderLegend(map, panel, layerId);
+  map.on("styledata", () => renderLegend(map, panel, layerId));
+}
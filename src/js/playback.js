@@ -0,0 +1,235 @@
+import { getFirstSymbolLayerId } from "./layers.js";
+
+const emptyCollection = { type: "FeatureCollection", features: [] };
+
+// Where a point falls along the direction from `from` to `to`
+function along([x, y], [[x1, y1], [x2, y2]]) {
+  return (x - x1) * (x2 - x1) + (y - y1) * (y2 - y1);
+}
+
+/**
+ * Put one storm's track segments in time order. Tiles clip a segment that
+ * crosses their edge into pieces, so the pieces of each time step are
+ * joined back into one straight segment between their outermost points.
+ */
+export function orderTrackSegments(features) {
+  const byTime = new Map();
+  for (const feature of features) {
+    const { ISO_TIME: time } = feature.properties;
+    const coordinates =
+      feature.geometry.type === "MultiLineString"
+        ? feature.geometry.coordinates.flat()
+        : feature.geometry.coordinates;
+    if (!byTime.has(time)) {
+      byTime.set(time, { time, properties: feature.properties, pieces: [] });
+    }
+    byTime.get(time).pieces.push(coordinates);
+  }
+
+  return [...byTime.values()]
+    .map(({ time, properties, pieces }) => {
+      if (pieces.length === 1)
+        return { time, properties, coordinates: pieces[0] };
+      // Clipping keeps each piece running the way the storm moved
+      const longest = pieces.reduce((a, b) => (b.length > a.length ? b : a));
+      const direction = [longest[0], longest.at(-1)];
+      const points = pieces
+        .flat()
+        .sort((a, b) => along(a, direction) - along(b, direction));
+      return { time, properties, coordinates: [points[0], points.at(-1)] };
+    })
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+// The point `fraction` of the way along a line, counted in vertices
+export function interpolateLine(coordinates, fraction) {
+  const position = fraction * (coordinates.length - 1);
+  const i = Math.min(Math.floor(position), coordinates.length - 2);
+  if (i < 0) return coordinates[0];
+  const [x1, y1] = coordinates[i];
+  const [x2, y2] = coordinates[i + 1];
+  const t = position - i;
+  return [x1 + (x2 - x1) * t, y1 + (y2 - y1) * t];
+}
+
+/**
+ * Replay a storm's track one segment at a time with a marker at its head.
+ * The position runs from 0 to the number of segments, advancing
+ * `stepsPerSecond` segments a second while playing. `onFrame` fires after
+ * every change so controls can follow along.
+ */
+export function createStormPlayback(
+  map,
+  {
+    sourceId = "storms",
+    sourceLayer = "storms",
+    layerId = "storms-line",
+    playbackId = "storms-playback",
+    stepsPerSecond = 4,
+    onFrame = () => {},
+  } = {},
+) {
+  let segments = [];
+  let position = 0;
+  let animationId = null;
+  let lastTime;
+
+  map.addSource(playbackId, { type: "geojson", data: emptyCollection });
+  const beforeId = getFirstSymbolLayerId(map);
+  map.addLayer(
+    {
+      id: `${playbackId}-line`,
+      type: "line",
+      source: playbackId,
+      filter: ["==", ["geometry-type"], "LineString"],
+      layout: { "line-cap": "round", "line-join": "round" },
+      paint: {
+        "line-color": map.getPaintProperty(layerId, "line-color"),
+        "line-width": [
+          "+",
+          3,
+          map.getPaintProperty(layerId, "line-width") ?? 1,
+        ],
+      },
+    },
+    beforeId,
+  );
+  map.addLayer(
+    {
+      id: `${playbackId}-marker`,
+      type: "circle",
+      source: playbackId,
+      filter: ["==", ["geometry-type"], "Point"],
+      paint: {
+        "circle-radius": 7,
+        "circle-color": "#ffffff",
+        "circle-stroke-color": "#1f2933",
+        "circle-stroke-width": 2,
+      },
+    },
+    beforeId,
+  );
+
+  map.on("stormpalettechange", () => {
+    map.setPaintProperty(
+      `${playbackId}-line`,
+      "line-color",
+      map.getPaintProperty(layerId, "line-color"),
+    );
+  });
+
+  function getCurrent() {
+    return segments[Math.min(Math.floor(position), segments.length - 1)];
+  }
+
+  function draw() {
+    const step = Math.floor(position);
+    const drawn = segments
+      .slice(0, step)
+      .map(({ properties, coordinates }) => ({
+        type: "Feature",
+        properties,
+        geometry: { type: "LineString", coordinates },
+      }));
+
+    // Draw the segment in progress up to the marker
+    const current = getCurrent();
+    let head = current?.coordinates.at(-1);
+    if (current && step < segments.length) {
+      const fraction = position - step;
+      head = interpolateLine(current.coordinates, fraction);
+      const reached = Math.floor(fraction * (current.coordinates.length - 1));
+      drawn.push({
+        type: "Feature",
+        properties: current.properties,
+        geometry: {
+          type: "LineString",
+          coordinates: [...current.coordinates.slice(0, reached + 1), head],
+        },
+      });
+    }
+    if (head) {
+      drawn.push({
+        type: "Feature",
+        properties: current.properties,
+        geometry: { type: "Point", coordinates: head },
+      });
+    }
+
+    map.getSource(playbackId).setData({
+      type: "FeatureCollection",
+      features: drawn,
+    });
+    onFrame();
+  }
+
+  function frame() {
+    const now = performance.now();
+    position += (stepsPerSecond * (now - lastTime)) / 1000;
+    lastTime = now;
+    if (position >= segments.length) {
+      position = segments.length;
+      animationId = null;
+      draw();
+      return;
+    }
+    draw();
+    animationId = requestAnimationFrame(frame);
+  }
+
+  function stop() {
+    if (animationId) {
+      cancelAnimationFrame(animationId);
+      animationId = null;
+      onFrame();
+    }
+  }
+
+  return {
+    /**
+     * Read a storm's segments from the tiles already loaded, so call this
+     * once the map has settled on the storm. Returns the number of segments.
+     */
+    load(stormId) {
+      stop();
+      segments = orderTrackSegments(
+        map.querySourceFeatures(sourceId, {
+          sourceLayer,
+          filter: ["==", ["get", "SID"], stormId],
+        }),
+      );
+      position = 0;
+      draw();
+      return segments.length;
+    },
+    clear() {
+      stop();
+      segments = [];
+      position = 0;
+      map.getSource(playbackId).setData(emptyCollection);
+      onFrame();
+    },
+    start() {
+      if (animationId || !segments.length) return;
+      // Start over once the end has been reached
+      if (position >= segments.length) position = 0;
+      lastTime = performance.now();
+      frame();
+    },
+    stop,
+    isPlaying() {
+      return animationId !== null;
+    },
+    seek(value) {
+      position = Math.max(0, Math.min(value, segments.length));
+      draw();
+    },
+    getPosition() {
+      return position;
+    },
+    getLength() {
+      return segments.length;
+    },
+    getCurrent,
+  };
+}
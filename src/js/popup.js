@@ -0,0 +1,106 @@
+import { basinNames, formatCategory, formatStormName } from "./format.js";
+import { stormLayerIds } from "./layers.js";
+
+/**
+ * Build the storm card for a feature's `properties`. A `fix` from the points
+ * layer also gets its time and pressure.
+ */
+export function buildStormPopup(properties, { fix = false } = {}) {
+  const container = document.createElement("div");
+
+  const heading = document.createElement("h2");
+  heading.textContent = formatStormName(properties.NAME);
+  container.appendChild(heading);
+
+  const wind = Number(properties.USA_WIND);
+  const pressure = Number(properties.USA_PRES);
+  const rows = [
+    ["Season", properties.SEASON ?? "Unknown"],
+    ["Basin", basinNames[properties.BASIN] ?? properties.BASIN ?? "Unknown"],
+    ["Strength", formatCategory(properties.USA_SSHS)],
+    [
+      "Wind",
+      Number.isFinite(wind) && wind > 0
+        ? `${wind} knots (${Math.round(wind * 1.15078)} mph)`
+        : "Not recorded",
+    ],
+  ];
+
+  // Track segments can carry these too at high zooms, but they describe
+  // only where the segment starts
+  if (fix) {
+    if (properties.ISO_TIME) {
+      rows.unshift(["Observed", `${properties.ISO_TIME.slice(0, 16)} UTC`]);
+    }
+    rows.push([
+      "Pressure",
+      Number.isFinite(pressure) && pressure > 0
+        ? `${pressure} mb`
+        : "Not recorded",
+    ]);
+  }
+
+  const list = document.createElement("dl");
+  for (const [label, value] of rows) {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const detail = document.createElement("dd");
+    detail.textContent = value;
+    list.append(term, detail);
+  }
+  container.appendChild(list);
+
+  return container;
+}
+
+/**
+ * Show a storm card on hover and pin it on click. `onOpen` and `onClose`
+ * fire when the pinned popup opens and closes.
+ */
+export function attachStormPopups(
+  map,
+  { layerIds = stormLayerIds, onOpen = () => {}, onClose = () => {} } = {},
+) {
+  const layers = layerIds.filter((id) => map.getLayer(id));
+  const popup = new maplibregl.Popup({
+    className: "storm-popup",
+    maxWidth: "280px",
+  });
+  const hoverPopup = new maplibregl.Popup({
+    className: "storm-popup",
+    maxWidth: "280px",
+    closeButton: false,
+    closeOnClick: false,
+  });
+  popup.on("close", onClose);
+  if (!layers.length) return popup;
+
+  // Tell the 6-hourly fixes from the tracks by the layer they come from
+  const buildPopup = (feature) =>
+    buildStormPopup(feature.properties, {
+      fix: feature.sourceLayer === "points",
+    });
+
+  map.on("mouseenter", layers, () => {
+    map.getCanvas().style.cursor = "pointer";
+  });
+  map.on("mousemove", layers, (e) => {
+    if (popup.isOpen()) return;
+    hoverPopup
+      .setLngLat(e.lngLat)
+      .setDOMContent(buildPopup(e.features[0]))
+      .addTo(map);
+  });
+  map.on("mouseleave", layers, () => {
+    map.getCanvas().style.cursor = "";
+    hoverPopup.remove();
+  });
+  map.on("click", layers, (e) => {
+    const feature = e.features[0];
+    onOpen();
+    hoverPopup.remove();
+    popup.setLngLat(e.lngLat).setDOMContent(buildPopup(feature)).addTo(map);
+  });
+
+  return popup;
+}
@@ -0,0 +1,39 @@
+// MapLibre draws mercator when a style doesn't name a projection
+export function getProjectionName(map) {
+  const type = map.getProjection()?.type ?? "mercator";
+  return type === "mercator" ? "mercator" : "globe";
+}
+
+/**
+ * Switch between the globe and a flat mercator map, keeping the center, zoom
+ * and bearing. The map fades out and back in over `duration` milliseconds
+ * rather than blending frame by frame, since every projection change makes
+ * MapLibre reload its tiles. Readers who ask for less motion get the switch
+ * at once. Resolves when the new projection is showing.
+ */
+export async function transitionProjection(map, name, duration = 600) {
+  if (getProjectionName(map) === name) return;
+
+  const reducedMotion = window.matchMedia(
+    "(prefers-reduced-motion: reduce)",
+  ).matches;
+  if (reducedMotion || duration <= 0) {
+    map.setProjection({ type: name });
+    return;
+  }
+
+  const canvas = map.getCanvas();
+  const timing = { duration: duration / 2, easing: "ease-in-out" };
+  const fadeOut = canvas.animate([{ opacity: 1 }, { opacity: 0 }], {
+    ...timing,
+    fill: "forwards",
+  });
+  await fadeOut.finished;
+
+  map.setProjection({ type: name });
+  await map.once("render");
+
+  const fadeIn = canvas.animate([{ opacity: 0 }, { opacity: 1 }], timing);
+  fadeOut.cancel();
+  await fadeIn.finished;
+}
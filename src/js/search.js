@@ -0,0 +1,170 @@
+import { basinNames, formatStormName } from "./format.js";
+import { getFirstSymbolLayerId } from "./layers.js";
+
+/**
+ * Load the storm search index that sits beside a PMTiles archive, e.g.
+ * ibtracs.pmtiles → ibtracs.index.json. Unnamed storms are left out.
+ */
+export async function loadStormIndex(archiveUrl) {
+  const url = archiveUrl.replace(/\.pmtiles$/, ".index.json");
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Storm index failed with HTTP ${response.status}`);
+  }
+  const { storms } = await response.json();
+  return storms
+    .filter((storm) => storm.name && storm.name !== "NOT_NAMED")
+    .map((storm) => ({
+      ...storm,
+      label: `${formatStormName(storm.name)} ${storm.season}`,
+    }));
+}
+
+// Lowercase words, so "katrina 2005" and "Katrina (2005)" match alike
+function tokenize(text) {
+  return text.toLowerCase().match(/[a-z0-9]+/g) ?? [];
+}
+
+/**
+ * Find storms whose name or season starts with every word in the query,
+ * strongest and most recent first.
+ */
+export function searchStorms(index, query, limit = 10) {
+  const words = tokenize(query);
+  if (!words.length) return [];
+
+  return index
+    .filter((storm) => {
+      const tokens = tokenize(`${storm.name} ${storm.season}`);
+      return words.every((word) =>
+        tokens.some((token) => token.startsWith(word)),
+      );
+    })
+    .sort((a, b) => b.category - a.category || b.season - a.season)
+    .slice(0, limit);
+}
+
+/**
+ * Draw one storm on top of the others. Everything else on `layerId` fades
+ * back while a storm is selected.
+ */
+export function createStormHighlighter(
+  map,
+  { layerId = "storms-line", highlightId = "storms-highlight" } = {},
+) {
+  const layer = map.getStyle().layers.find((l) => l.id === layerId);
+  let restingOpacity = map.getPaintProperty(layerId, "line-opacity") ?? 1;
+  let selected = null;
+
+  map.addLayer(
+    {
+      id: highlightId,
+      type: "line",
+      source: layer.source,
+      "source-layer": layer["source-layer"],
+      filter: ["==", ["get", "SID"], ""],
+      layout: { "line-cap": "round", "line-join": "round" },
+      paint: {
+        "line-color": map.getPaintProperty(layerId, "line-color"),
+        "line-width": [
+          "+",
+          2,
+          map.getPaintProperty(layerId, "line-width") ?? 1,
+        ],
+        "line-opacity": 1,
+      },
+    },
+    getFirstSymbolLayerId(map),
+  );
+
+  // Follow palette and theme changes, keeping the other storms faded
+  map.on("stormpalettechange", () => {
+    map.setPaintProperty(
+      highlightId,
+      "line-color",
+      map.getPaintProperty(layerId, "line-color"),
+    );
+    restingOpacity = map.getPaintProperty(layerId, "line-opacity") ?? 1;
+    if (selected) map.setPaintProperty(layerId, "line-opacity", 0.12);
+  });
+
+  return {
+    select(storm) {
+      selected = storm;
+      map.setFilter(highlightId, ["==", ["get", "SID"], storm.id]);
+      map.setPaintProperty(layerId, "line-opacity", 0.12);
+      map.fitBounds(
+        [
+          [storm.bbox[0], storm.bbox[1]],
+          [storm.bbox[2], storm.bbox[3]],
+        ],
+        // Stop short of street level for the shortest tracks
+        { padding: 80, maxZoom: Math.min(map.getMaxZoom(), 6), duration: 2000 },
+      );
+    },
+    clear() {
+      selected = null;
+      map.setFilter(highlightId, ["==", ["get", "SID"], ""]);
+      map.setPaintProperty(layerId, "line-opacity", restingOpacity);
+    },
+    getSelected() {
+      return selected;
+    },
+  };
+}
+
+/**
+ * Wire the search box in `panel` to the index and highlighter.
+ */
+export function setupStormSearch(map, index, highlighter, panel, onChange) {
+  const input = panel.querySelector("#storm-search");
+  const options = panel.querySelector("#storm-options");
+  const clearButton = panel.querySelector("#storm-clear");
+  let matches = [];
+
+  function describe(storm) {
+    return `${storm.label} · ${basinNames[storm.basin] ?? storm.basin}`;
+  }
+
+  function select(storm) {
+    input.value = storm.label;
+    highlighter.select(storm);
+    clearButton.hidden = false;
+    onChange(storm);
+  }
+
+  input.addEventListener("input", () => {
+    matches = searchStorms(index, input.value);
+    options.replaceChildren(
+      ...matches.map((storm) => {
+        const option = document.createElement("option");
+        option.value = storm.label;
+        option.textContent = describe(storm);
+        return option;
+      }),
+    );
+
+    // Picking an option from the list fills in its exact label
+    const picked = matches.find((storm) => storm.label === input.value);
+    if (picked) select(picked);
+  });
+  panel.addEventListener("submit", (event) => {
+    event.preventDefault();
+    if (matches.length) select(matches[0]);
+  });
+  clearButton.addEventListener("click", () => {
+    input.value = "";
+    highlighter.clear();
+    clearButton.hidden = true;
+    onChange(null);
+  });
+
+  panel.hidden = false;
+
+  return {
+    selectById(id) {
+      const storm = index.find((s) => s.id === id);
+      if (storm) select(storm);
+    },
+  };
+}
@@ -0,0 +1,112 @@
+// OpenFreeMap's dark basemap, with a bundled style for when it can't be reached
+export const basemapStyleUrl = "https://tiles.openfreemap.org/styles/fiord";
+export const fallbackStyleUrl = new URL(
+  "../fallback-style.json",
+  import.meta.url,
+).href;
+
+// The published archive, used when no closer copy can be reached
+export const publishedStormsUrl =
+  "https://palewi.re/docs/first-pmtiles-map/ibtracs.pmtiles";
+
+let protocol = null;
+
+/**
+ * Register the PMTiles protocol with MapLibre so vector sources can load
+ * .pmtiles directly. Safe to call more than once.
+ */
+export function registerPmtilesProtocol() {
+  if (!protocol) {
+    protocol = new pmtiles.Protocol();
+    maplibregl.addProtocol("pmtiles", protocol.tile);
+  }
+  return protocol;
+}
+
+/**
+ * Fetch a basemap style, falling back to the bundled offline style if it
+ * can't be loaded. `onStatus` hears about the fallback.
+ */
+export async function loadBasemapStyle({
+  styleUrl = basemapStyleUrl,
+  fallbackUrl = fallbackStyleUrl,
+  onStatus = () => {},
+} = {}) {
+  try {
+    const response = await fetch(styleUrl, {
+      signal: AbortSignal.timeout(8000),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    console.warn("Basemap style unavailable, using the fallback", error);
+    onStatus(
+      "The basemap couldn't be loaded, so a simplified offline map is shown.",
+    );
+  }
+
+  const response = await fetch(fallbackUrl);
+  if (!response.ok) {
+    throw new Error(`Fallback style failed with HTTP ${response.status}`);
+  }
+  const style = await response.json();
+
+  // The bundled style points at archives relative to itself
+  for (const source of Object.values(style.sources)) {
+    if (source.url?.startsWith("pmtiles://")) {
+      const path = source.url.slice("pmtiles://".length);
+      source.url = `pmtiles://${new URL(path, fallbackUrl).href}`;
+    }
+  }
+  return style;
+}
+
+// An optional config.json beside the page, e.g. { "stormsUrl": "..." }
+export async function loadConfig(configUrl = "config.json") {
+  try {
+    const response = await fetch(configUrl);
+    return response.ok ? await response.json() : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Open a PMTiles archive at `url`, relative to the page, and make sure it
+ * can be reached.
+ */
+export async function openArchive(url) {
+  const archive = new pmtiles.PMTiles(new URL(url, window.location.href).href);
+  await archive.getHeader();
+  return archive;
+}
+
+/**
+ * Pick the storms archive from a ?storms= query parameter, then config.json,
+ * then a copy served next to the page, then the published one, skipping any
+ * that can't be reached. Pass `candidates` to replace that list.
+ */
+export async function resolveStormsArchive({ candidates } = {}) {
+  if (!candidates) {
+    const config = await loadConfig();
+    candidates = [
+      new URLSearchParams(window.location.search).get("storms"),
+      config.stormsUrl,
+      "ibtracs.pmtiles",
+      publishedStormsUrl,
+    ];
+  }
+
+  const urls = candidates
+    .filter(Boolean)
+    .map((url) => new URL(url, window.location.href).href);
+
+  for (const url of new Set(urls)) {
+    try {
+      return await openArchive(url);
+    } catch (error) {
+      console.warn(`Storms archive unavailable at ${url}`, error);
+    }
+  }
+  throw new Error("No storms archive could be reached");
+}
@@ -0,0 +1,162 @@
+/**
+ * Spin the globe around its axis. A negative speed spins it westward.
+ */
+export function createGlobeSpinner(map, degreesPerSecond = 10) {
+  let animationId = null;
+  let lastTime;
+
+  function spin() {
+    const now = performance.now();
+    const elapsed = (now - lastTime) / 1000;
+    lastTime = now;
+    const center = map.getCenter();
+    center.lng += degreesPerSecond * elapsed;
+    map.setCenter(center);
+    animationId = requestAnimationFrame(spin);
+  }
+
+  return {
+    start() {
+      if (!animationId) {
+        lastTime = performance.now();
+        spin();
+      }
+    },
+    stop() {
+      if (animationId) {
+        cancelAnimationFrame(animationId);
+        animationId = null;
+      }
+    },
+    isSpinning() {
+      return animationId !== null;
+    },
+    getSpeed() {
+      return degreesPerSecond;
+    },
+    setSpeed(value) {
+      degreesPerSecond = value;
+    },
+  };
+}
+
+// Toggle the map's pan, zoom and rotate handlers together
+const interactionHandlers = [
+  "boxZoom",
+  "doubleClickZoom",
+  "dragPan",
+  "dragRotate",
+  "keyboard",
+  "scrollZoom",
+  "touchZoomRotate",
+];
+
+export function setInteractive(map, enabled) {
+  for (const name of interactionHandlers) {
+    enabled ? map[name].enable() : map[name].disable();
+  }
+}
+
+/**
+ * Run a spinner like a screensaver: any input stops it and hands the map to
+ * the reader, and it picks up again after `resumeDelay` milliseconds without
+ * input. It also holds still while the map has keyboard focus. Readers who
+ * ask for less motion get a still globe until something calls
+ * `setPlaying(true)`. `canResume` can hold the spin, e.g. while a popup is
+ * open.
+ */
+export function createAutoSpin(
+  map,
+  spinner,
+  {
+    playing = true,
+    resumeDelay = 5000,
+    canResume = () => true,
+    onChange = () => {},
+  } = {},
+) {
+  const reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)");
+  // What the reader last asked for, kept apart from what the motion
+  // setting allows so switching that setting back doesn't undo a pause
+  let chosen = playing;
+  let wanted = chosen && !reducedMotion.matches;
+  let pointerInside = false;
+  let focused = false;
+  let resumeTimer = null;
+
+  // Stop spinning and hand the map to the reader while they explore
+  function interrupt() {
+    clearTimeout(resumeTimer);
+    spinner.stop();
+    setInteractive(map, true);
+  }
+
+  function resume() {
+    if (!wanted || pointerInside || focused || !canResume()) return;
+    setInteractive(map, false);
+    spinner.start();
+  }
+
+  function scheduleResume() {
+    clearTimeout(resumeTimer);
+    resumeTimer = setTimeout(resume, resumeDelay);
+  }
+
+  function update() {
+    if (wanted) {
+      resume();
+    } else {
+      interrupt();
+    }
+    onChange();
+  }
+
+  function setPlaying(value) {
+    chosen = value;
+    wanted = value;
+    update();
+  }
+
+  const container = map.getContainer();
+  container.addEventListener("pointerenter", () => {
+    pointerInside = true;
+    interrupt();
+  });
+  container.addEventListener("pointerleave", () => {
+    pointerInside = false;
+    scheduleResume();
+  });
+  container.addEventListener("focusin", () => {
+    focused = true;
+    interrupt();
+  });
+  container.addEventListener("focusout", () => {
+    focused = false;
+    scheduleResume();
+  });
+  for (const type of ["pointerdown", "wheel", "keydown"]) {
+    container.addEventListener(type, () => {
+      interrupt();
+      scheduleResume();
+    });
+  }
+  reducedMotion.addEventListener("change", () => {
+    wanted = chosen && !reducedMotion.matches;
+    update();
+  });
+
+  if (wanted) {
+    resume();
+  } else {
+    interrupt();
+  }
+
+  return {
+    isPlaying() {
+      return wanted;
+    },
+    setPlaying,
+    interrupt,
+    scheduleResume,
+  };
+}
@@ -0,0 +1,242 @@
+import { readStormAppOptions, setupStormApp, showMapStatus } from "./app.js";
+import { datasets as defaultDatasets } from "./datasets.js";
+import { buildStormFilter, createStormFilters } from "./filters.js";
+import { readHashState } from "./hash.js";
+import {
+  addDataset,
+  addStormDensityLayer,
+  addStormPointLayer,
+  applyStormPalette,
+  getFirstSymbolLayerId,
+  hasSourceLayer,
+  setStormView,
+  stormArchiveZooms,
+} from "./layers.js";
+import {
+  loadBasemapStyle,
+  openArchive,
+  registerPmtilesProtocol,
+  resolveStormsArchive,
+} from "./sources.js";
+import { defaultTheme, getStormPalette, themes } from "./themes.js";
+
+export {
+  createAutoSpin,
+  createGlobeSpinner,
+  setInteractive,
+} from "./spinner.js";
+export { readStormAppOptions, setupStormApp, showMapStatus } from "./app.js";
+export {
+  applyStormFilters,
+  buildStormFilter,
+  createStormFilters,
+  firstSeason,
+  lastSeason,
+  stormBasins,
+  stormCategories,
+} from "./filters.js";
+export { datasets } from "./datasets.js";
+export { basinNames, formatCategory, formatStormName } from "./format.js";
+export { readHashState, writeHashState } from "./hash.js";
+export {
+  addDataset,
+  addStormDensityLayer,
+  addStormLayer,
+  addStormPointLayer,
+  applyStormPalette,
+  buildCategoryColor,
+  getFirstSymbolLayerId,
+  hasSourceLayer,
+  isDatasetVisible,
+  setDatasetVisibility,
+  setStormView,
+  stormArchiveZooms,
+  stormDensityLayerId,
+  stormDensityPaint,
+  stormCategoryColors,
+  stormLayerIds,
+  stormLinePaint,
+  stormPointPaint,
+  stormViews,
+} from "./layers.js";
+export { attachLegend, getExpressionStops, renderLegend } from "./legend.js";
+export {
+  createStormPlayback,
+  interpolateLine,
+  orderTrackSegments,
+} from "./playback.js";
+export { downloadMapImage, drawMapOverlay, renderMapImage } from "./export.js";
+export { attachStormPopups, buildStormPopup } from "./popup.js";
+export { getProjectionName, transitionProjection } from "./projection.js";
+export {
+  createStormHighlighter,
+  loadStormIndex,
+  searchStorms,
+  setupStormSearch,
+} from "./search.js";
+export {
+  loadBasemapStyle,
+  openArchive,
+  registerPmtilesProtocol,
+  resolveStormsArchive,
+} from "./sources.js";
+export {
+  attachStormSummary,
+  onViewChange,
+  renderStormTable,
+  summarizeStorms,
+} from "./summary.js";
+export {
+  applyTheme,
+  defaultPalette,
+  defaultTheme,
+  getStormPalette,
+  keepStormLayers,
+  palettes,
+  themes,
+} from "./themes.js";
+export {
+  setupDatasetToggles,
+  setupImageExport,
+  setupPalettePicker,
+  setupPlaybackControls,
+  setupProjectionToggle,
+  setupSeasonFilter,
+  setupSpinnerControls,
+  setupStormFilters,
+  setupStormView,
+  setupThemePicker,
+} from "./controls.js";
+
+/**
+ * Build the storm map inside `container` (an element or its id), drawing
+ * each of `datasets` in order.
+ *
+ * Resolves once the map has loaded with `{ map, stormsArchive, datasets }`,
+ * where `datasets` lists the ones that could be reached. The storms layers
+ * are only added when an archive could be reached, so `stormsArchive` may be
+ * null. Messages meant for the reader are passed to `onStatus`.
+ */
+export async function createStormMap(container, options = {}) {
+  const {
+    center = [0, 15],
+    zoom = 1.5,
+    bearing = 0,
+    projection = "globe",
+    view = "lines",
+    theme = defaultTheme,
+    palette,
+    stepped,
+    minZoom = stormArchiveZooms.minZoom,
+    // MapLibre overzooms the archive's last tiles for closer looks
+    maxZoom = stormArchiveZooms.maxZoom + 2,
+    filters = createStormFilters(),
+    styleUrl = themes[theme].styleUrl,
+    fallbackStyleUrl,
+    stormsUrls,
+    datasets = defaultDatasets,
+    onStatus = (message) => console.warn(message),
+  } = options;
+
+  registerPmtilesProtocol();
+
+  // Look for the archives while the basemap style downloads. The storms are
+  // found among several candidates; the others have one URL each.
+  const archiveRequests = datasets.map((dataset) => {
+    if (dataset.id !== "storms" && !dataset.url) {
+      throw new Error(`The ${dataset.id} dataset has no url`);
+    }
+    const request =
+      dataset.id === "storms"
+        ? resolveStormsArchive({
+            candidates: stormsUrls ?? (dataset.url && [dataset.url]),
+          })
+        : openArchive(dataset.url);
+    return request.catch((error) => {
+      console.error(error);
+      return null;
+    });
+  });
+
+  const style = await loadBasemapStyle({
+    styleUrl,
+    fallbackUrl: fallbackStyleUrl,
+    onStatus,
+  });
+  const archives = await Promise.all(archiveRequests);
+
+  style.projection = { type: projection };
+
+  const map = new maplibregl.Map({
+    container,
+    style,
+    center,
+    zoom,
+    bearing,
+    minZoom,
+    maxZoom,
+  });
+
+  await map.once("load");
+
+  const filter = buildStormFilter(filters);
+  const beforeId = getFirstSymbolLayerId(map);
+  const loaded = [];
+  datasets.forEach((dataset, i) => {
+    if (!archives[i]) {
+      onStatus(`The ${dataset.label.toLowerCase()} couldn't be loaded.`);
+      return;
+    }
+    addDataset(
+      map,
+      dataset.id === "storms" ? { ...dataset, filter } : dataset,
+      { archive: archives[i], beforeId },
+    );
+    loaded.push(dataset);
+  });
+
+  const stormsArchive =
+    archives[datasets.findIndex((dataset) => dataset.id === "storms")] ?? null;
+  if (stormsArchive) {
+    // Archives built before the points product was added only have tracks
+    const hasPoints = await hasSourceLayer(stormsArchive, "points");
+    if (hasPoints) addStormPointLayer(map, { filter });
+    addStormDensityLayer(map, {
+      sourceLayer: hasPoints ? "points" : "storms",
+      filter,
+    });
+    applyStormPalette(map, getStormPalette(theme, { palette, stepped }));
+    setStormView(map, view);
+  }
+
+  return { map, stormsArchive, datasets: loaded };
+}
+
+/**
+ * Build the demo page: the storm map inside `container`, started from the
+ * view in `hashState`, with every panel wired up by `setupStormApp`.
+ *
+ * Resolves with the map, or with null after telling the reader it couldn't
+ * be loaded.
+ */
+export async function createStormApp(
+  container,
+  { hashState = readHashState() } = {},
+) {
+  const options = readStormAppOptions(hashState);
+  document.documentElement.dataset.theme = options.theme;
+  try {
+    const { map, stormsArchive, datasets } = await createStormMap(container, {
+      ...options,
+      onStatus: showMapStatus,
+    });
+    setupStormApp(map, { stormsArchive, datasets, hashState });
+    return map;
+  } catch (error) {
+    console.error(error);
+    showMapStatus(
+      "The map couldn't be loaded. Check your connection and try again.",
+    );
+    return null;
+  }
+}
@@ -0,0 +1,102 @@
+import { basinNames, formatCategory, formatStormName } from "./format.js";
+
+/**
+ * Collapse rendered track segments into one row per storm with its peak
+ * category and wind, strongest first.
+ */
+export function summarizeStorms(features) {
+  const storms = new Map();
+  for (const { properties } of features) {
+    const category = Number(properties.USA_SSHS ?? -1);
+    const wind = Number(properties.USA_WIND ?? 0);
+    const storm = storms.get(properties.SID);
+    if (storm) {
+      storm.category = Math.max(storm.category, category);
+      storm.wind = Math.max(storm.wind, wind);
+    } else {
+      storms.set(properties.SID, {
+        id: properties.SID,
+        name: properties.NAME,
+        season: Number(properties.SEASON),
+        basin: properties.BASIN,
+        category,
+        wind,
+      });
+    }
+  }
+  return [...storms.values()].sort(
+    (a, b) => b.category - a.category || b.wind - a.wind || b.season - a.season,
+  );
+}
+
+/**
+ * Fill `table` with up to `limit` storms and say in its caption how many
+ * there are in all.
+ */
+export function renderStormTable(table, storms, limit = 50) {
+  const shown = storms.slice(0, limit);
+  table.caption.textContent =
+    storms.length > shown.length
+      ? `The ${shown.length} strongest of ${storms.length.toLocaleString()} storms in view`
+      : `${storms.length.toLocaleString()} storms in view`;
+
+  table.tBodies[0].replaceChildren(
+    ...shown.map((storm) => {
+      const row = document.createElement("tr");
+      const name = document.createElement("th");
+      name.scope = "row";
+      name.textContent = formatStormName(storm.name);
+      row.appendChild(name);
+      for (const value of [
+        storm.season,
+        basinNames[storm.basin] ?? storm.basin,
+        formatCategory(storm.category),
+        storm.wind > 0 ? `${storm.wind} knots` : "Not recorded",
+      ]) {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+      }
+      return row;
+    }),
+  );
+}
+
+/**
+ * Call `update` once the map settles, and every `interval` milliseconds
+ * while it keeps moving. A spinning globe never settles.
+ */
+export function onViewChange(map, update, interval = 1000) {
+  let timer = null;
+  map.on("idle", update);
+  map.on("moveend", () => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      update();
+    }, interval);
+  });
+}
+
+/**
+ * Keep the storm table in `panel` in step with the tracks drawn in the
+ * current view, after each move or filter change.
+ */
+export function attachStormSummary(
+  map,
+  panel,
+  { layerId = "storms-line", limit = 50 } = {},
+) {
+  const table = panel.querySelector("table");
+  onViewChange(map, () => {
+    // The density view draws no tracks to list
+    if (map.getLayoutProperty(layerId, "visibility") === "none") {
+      table.caption.textContent = "Switch to the tracks view to list storms";
+      table.tBodies[0].replaceChildren();
+      return;
+    }
+    const features = map.queryRenderedFeatures({ layers: [layerId] });
+    renderStormTable(table, summarizeStorms(features), limit);
+  });
+  panel.hidden = false;
+}
@@ -0,0 +1,145 @@
+import { applyStormPalette, stormCategoryColors } from "./layers.js";
+import { loadBasemapStyle } from "./sources.js";
+
+/**
+ * Each theme pairs an OpenFreeMap basemap with storm colors and a track
+ * opacity that read well on it.
+ */
+export const themes = {
+  dark: {
+    label: "Dark",
+    styleUrl: "https://tiles.openfreemap.org/styles/fiord",
+    colors: stormCategoryColors,
+    lineOpacity: 0.5,
+  },
+  light: {
+    label: "Light",
+    styleUrl: "https://tiles.openfreemap.org/styles/positron",
+    colors: [
+      "#6b8fb3",
+      "#1d91c0",
+      "#41ab5d",
+      "#e3a505",
+      "#f16913",
+      "#d7301f",
+      "#7f0000",
+    ],
+    lineOpacity: 0.7,
+  },
+  // Stronger storms print darker, so the ramp survives a grayscale press
+  print: {
+    label: "Print",
+    styleUrl: "https://tiles.openfreemap.org/styles/positron",
+    colors: [
+      "#c8c8c8",
+      "#aaaaaa",
+      "#8c8c8c",
+      "#6e6e6e",
+      "#505050",
+      "#323232",
+      "#000000",
+    ],
+    lineOpacity: 0.85,
+  },
+};
+
+export const defaultTheme = "dark";
+
+/**
+ * Color ramps that can stand in for a theme's own. Viridis and cividis stay
+ * readable with red-green color blindness and keep their order in
+ * grayscale.
+ */
+export const palettes = {
+  theme: { label: "Theme colors", colors: null },
+  viridis: {
+    label: "Viridis",
+    colors: [
+      "#440154",
+      "#443983",
+      "#31688e",
+      "#21918c",
+      "#35b779",
+      "#90d743",
+      "#fde725",
+    ],
+  },
+  cividis: {
+    label: "Cividis",
+    colors: [
+      "#00224e",
+      "#2a3f6d",
+      "#555b6c",
+      "#7b7b78",
+      "#a59c74",
+      "#d2c060",
+      "#fee838",
+    ],
+  },
+};
+
+export const defaultPalette = "theme";
+
+/**
+ * The storm colors and track opacity for a theme, with its colors swapped
+ * for another palette's when one is picked.
+ */
+export function getStormPalette(
+  themeName,
+  { palette = defaultPalette, stepped = false } = {},
+) {
+  const { colors, lineOpacity } = themes[themeName];
+  return {
+    colors: palettes[palette]?.colors ?? colors,
+    stepped,
+    lineOpacity,
+  };
+}
+
+// The sources the storm map adds on top of a basemap, besides its datasets
+const stormSourceIds = ["storms", "storms-playback"];
+
+/**
+ * Carry the storm and dataset sources and layers from `previous` into the
+ * `next` basemap style, under its labels, along with the projection.
+ */
+export function keepStormLayers(previous, next) {
+  const stormLayers = previous.layers.filter(
+    (layer) => stormSourceIds.includes(layer.source) || layer.metadata?.dataset,
+  );
+  const sources = { ...next.sources };
+  for (const { source } of stormLayers) {
+    sources[source] = previous.sources[source];
+  }
+
+  const layers = [...next.layers];
+  const firstSymbol = layers.findIndex((layer) => layer.type === "symbol");
+  layers.splice(
+    firstSymbol === -1 ? layers.length : firstSymbol,
+    0,
+    ...stormLayers,
+  );
+
+  return { ...next, projection: previous.projection, sources, layers };
+}
+
+/**
+ * Swap the basemap and storm colors for another theme, keeping any `palette`
+ * and `stepped` choice. Like the first load, an unreachable basemap falls
+ * back to the bundled offline style and `onStatus` hears about it.
+ */
+export async function applyTheme(
+  map,
+  name,
+  { palette, stepped, fallbackStyleUrl, onStatus } = {},
+) {
+  const style = await loadBasemapStyle({
+    styleUrl: themes[name].styleUrl,
+    fallbackUrl: fallbackStyleUrl,
+    onStatus,
+  });
+  // A full reload, rather than a diff, always ends in "style.load"
+  map.setStyle(style, { diff: false, transformStyle: keepStormLayers });
+  await map.once("style.load");
+  applyStormPalette(map, getStormPalette(name, { palette, stepped }));
+}
@@ -0,0 +1,35 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { readStormAppOptions } from "../src/js/app.js";
+import { createStormFilters } from "../src/js/filters.js";
+import { defaultPalette, defaultTheme } from "../src/js/themes.js";
+
+describe("readStormAppOptions", () => {
+  it("starts from the defaults without a hash", () => {
+    const options = readStormAppOptions();
+    assert.equal(options.view, "lines");
+    assert.equal(options.theme, defaultTheme);
+    assert.equal(options.palette, defaultPalette);
+    assert.equal(options.stepped, false);
+    assert.deepEqual(options.filters, createStormFilters());
+  });
+
+  it("carries the shared view and filters into the map options", () => {
+    const options = readStormAppOptions({
+      zoom: 3,
+      center: [-70, 25],
+      view: "density",
+      stepped: true,
+      seasons: [2005, 2005],
+      categories: [],
+    });
+    assert.equal(options.zoom, 3);
+    assert.deepEqual(options.center, [-70, 25]);
+    assert.equal(options.view, "density");
+    assert.equal(options.stepped, true);
+    assert.deepEqual(options.filters.seasons, [2005, 2005]);
+    assert.deepEqual(options.filters.categories, []);
+    assert.deepEqual(options.filters.basins, createStormFilters().basins);
+  });
+});
@@ -0,0 +1,348 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import zlib from "node:zlib";
+
+import { VectorTile } from "@mapbox/vector-tile";
+import Pbf from "pbf";
+import { PMTiles } from "pmtiles";
+
+import {
+  buildTiles,
+  compareStorms,
+  fingerprintStorms,
+  parseFilter,
+} from "../scripts/build-tiles.js";
+import { readArchiveTiles } from "../scripts/pmtiles-archive.js";
+import { readGeoJSON, readShapefile } from "../scripts/read-features.js";
+import { clipLine } from "../scripts/tiler.js";
+
+// Read an archive held in memory with the same library the map uses
+function openArchive(bytes) {
+  return new PMTiles({
+    getKey: () => "test.pmtiles",
+    getBytes: async (offset, length) => ({
+      data: bytes.buffer.slice(
+        bytes.byteOffset + offset,
+        bytes.byteOffset + offset + length,
+      ),
+    }),
+  });
+}
+
+const feature = (type, coordinates, properties) => ({
+  type: "Feature",
+  properties,
+  geometry: { type, coordinates },
+});
+
+// A track across the prime meridian and a square of land around the Gulf
+// of Guinea
+const layers = {
+  storms: [
+    feature(
+      "LineString",
+      [
+        [-20, 10],
+        [20, 12],
+      ],
+      { SID: "1", USA_WIND: 90, USA_PRES: 970 },
+    ),
+  ],
+  land: [
+    feature(
+      "Polygon",
+      [
+        [
+          [-5, -5],
+          [5, -5],
+          [5, 5],
+          [-5, 5],
+          [-5, -5],
+        ],
+      ],
+      { name: "Gulf" },
+    ),
+  ],
+};
+
+describe("buildTiles", () => {
+  it("writes every zoom of a PMTiles archive", async () => {
+    const archive = openArchive(
+      buildTiles(layers, {
+        maxZoom: 3,
+        lowMaxZoom: 1,
+        include: ["SID", "USA_WIND", "USA_PRES", "name"],
+        lowInclude: ["SID", "USA_WIND", "name"],
+      }),
+    );
+
+    const header = await archive.getHeader();
+    assert.equal(header.minZoom, 0);
+    assert.equal(header.maxZoom, 3);
+    // One tile at zoom 0, then the four around the middle of the map
+    assert.equal(header.numAddressedTiles, 1 + 4 + 4 + 4);
+    assert.equal(Math.round(header.minLon), -20);
+    assert.equal(Math.round(header.maxLat), 12);
+    assert.ok(await archive.getZxy(3, 4, 3));
+    assert.equal(await archive.getZxy(3, 5, 3), undefined);
+
+    const { vector_layers } = await archive.getMetadata();
+    assert.deepEqual(
+      vector_layers.map(({ id, fields }) => [id, Object.keys(fields)]),
+      [
+        ["storms", ["SID", "USA_WIND", "USA_PRES"]],
+        ["land", ["name"]],
+      ],
+    );
+  });
+
+  it("only adds points as the zoom goes up", async () => {
+    // Fixes scattered over the tropics, each with its own ID
+    const points = Array.from({ length: 2000 }, (_, i) =>
+      feature("Point", [((i * 137) % 360) - 180, ((i * 53) % 60) - 30], {
+        ID: i,
+      }),
+    );
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "points-"));
+    const file = path.join(directory, "points.pmtiles");
+    fs.writeFileSync(
+      file,
+      buildTiles({ points }, { maxZoom: 8, lowMaxZoom: 4 }),
+    );
+
+    try {
+      const byZoom = Array.from({ length: 9 }, () => new Set());
+      for (const { z, data } of await readArchiveTiles(file)) {
+        const tile = new VectorTile(new Pbf(zlib.gunzipSync(data)));
+        const layer = tile.layers.points;
+        for (let i = 0; i < (layer?.length ?? 0); i++) {
+          byZoom[z].add(layer.feature(i).properties.ID);
+        }
+      }
+
+      // Every point shown at one zoom is still there at the next, even
+      // across the end of the low-zoom range
+      for (let z = 1; z <= 8; z++) {
+        const missing = [...byZoom[z - 1]].filter((id) => !byZoom[z].has(id));
+        assert.deepEqual(missing, [], `zoom ${z} drops points`);
+        assert.ok(byZoom[z].size >= byZoom[z - 1].size);
+      }
+      assert.equal(byZoom[8].size, 2000);
+    } finally {
+      fs.rmSync(directory, { recursive: true });
+    }
+  });
+});
+
+describe("refreshing a build", () => {
+  const track = (SID, west, east) =>
+    feature(
+      "LineString",
+      [
+        [west, 20],
+        [east, 25],
+      ],
+      { SID },
+    );
+  const point = (SID, lng) =>
+    feature("Point", [lng, 22], { SID, USA_WIND: lng });
+  const before = {
+    storms: [track("A", -80, -70), track("B", 100, 110)],
+    points: [point("A", -80), point("A", -75), point("B", 100)],
+  };
+  const after = {
+    storms: [track("A", -80, -60), track("B", 100, 110), track("C", 10, 20)],
+    points: [point("A", -80), point("A", -65), point("B", 100)],
+  };
+
+  it("spots added, changed and removed storms", () => {
+    const changes = compareStorms(
+      fingerprintStorms(before, "SID"),
+      fingerprintStorms({ storms: after.storms.slice(0, 1) }, "SID"),
+    );
+
+    assert.deepEqual(changes, {
+      added: [],
+      changed: ["A"],
+      removed: ["B"],
+      unchanged: 0,
+    });
+  });
+
+  it("matches a full build while cutting only the changed tiles", async () => {
+    const options = { maxZoom: 4, lowMaxZoom: 2, dropRate: 1.5 };
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "refresh-"));
+    const file = path.join(directory, "before.pmtiles");
+    fs.writeFileSync(file, buildTiles(before, options));
+
+    try {
+      const previous = await readArchiveTiles(file);
+      const old = fingerprintStorms(before, "SID");
+      const current = fingerprintStorms(after, "SID");
+      let reused = 0;
+      const refreshed = buildTiles(after, {
+        ...options,
+        previous,
+        changedBounds: [old.A.bbox, current.A.bbox, current.C.bbox],
+        onProgress: (message, counts) => (reused += counts.reused),
+      });
+
+      assert.ok(reused > 0);
+      assert.ok(refreshed.equals(buildTiles(after, options)));
+    } finally {
+      fs.rmSync(directory, { recursive: true });
+    }
+  });
+});
+
+describe("parseFilter", () => {
+  it("compares numbers and matches lists", () => {
+    assert.equal(parseFilter("SEASON>=1980")({ SEASON: "1985" }), true);
+    assert.equal(parseFilter("SEASON>=1980")({ SEASON: 1979 }), false);
+    assert.equal(parseFilter("BASIN=NA,EP")({ BASIN: "EP" }), true);
+    assert.equal(parseFilter("BASIN!=NA,EP")({ BASIN: "EP" }), false);
+    assert.equal(parseFilter("BASIN=NA")({}), false);
+  });
+});
+
+describe("clipLine", () => {
+  it("splits a line that leaves the tile and comes back", () => {
+    const pieces = clipLine(
+      [
+        [0, 5],
+        [20, 5],
+        [20, 6],
+        [0, 6],
+      ],
+      0,
+      10,
+    );
+
+    assert.deepEqual(pieces, [
+      [
+        [0, 5],
+        [10, 5],
+      ],
+      [
+        [10, 6],
+        [0, 6],
+      ],
+    ]);
+  });
+});
+
+// Write a polyline shapefile with a single text field
+function writeShapefile(base, tracks) {
+  const records = tracks.map(({ coordinates }, i) => {
+    const content = Buffer.alloc(48 + coordinates.length * 16);
+    content.writeInt32LE(3, 0);
+    content.writeInt32LE(1, 36);
+    content.writeInt32LE(coordinates.length, 40);
+    content.writeInt32LE(0, 44);
+    coordinates.forEach(([x, y], j) => {
+      content.writeDoubleLE(x, 48 + j * 16);
+      content.writeDoubleLE(y, 56 + j * 16);
+    });
+    const header = Buffer.alloc(8);
+    header.writeInt32BE(i + 1, 0);
+    header.writeInt32BE(content.length / 2, 4);
+    return Buffer.concat([header, content]);
+  });
+  const shp = Buffer.concat([Buffer.alloc(100), ...records]);
+  shp.writeInt32BE(9994, 0);
+  shp.writeInt32BE(shp.length / 2, 24);
+  shp.writeInt32LE(1000, 28);
+  shp.writeInt32LE(3, 32);
+  fs.writeFileSync(`${base}.shp`, shp);
+
+  const header = Buffer.alloc(65);
+  header.writeUInt8(3, 0);
+  header.writeUInt32LE(tracks.length, 4);
+  header.writeUInt16LE(65, 8);
+  header.writeUInt16LE(11, 10);
+  header.write("NAME", 32, "latin1");
+  header.write("C", 43, "latin1");
+  header.writeUInt8(10, 48);
+  header.writeUInt8(0x0d, 64);
+  const rows = tracks.map(({ name }) =>
+    Buffer.from(` ${(name ?? "").padEnd(10)}`, "latin1"),
+  );
+  fs.writeFileSync(`${base}.dbf`, Buffer.concat([header, ...rows]));
+}
+
+describe("readShapefile", () => {
+  it("pairs each shape with its attributes", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "shapefile-"));
+    const base = path.join(directory, "tracks");
+    writeShapefile(base, [
+      {
+        name: "KATRINA",
+        coordinates: [
+          [-84.6, 24.5],
+          [-85.6, 24.8],
+        ],
+      },
+      { coordinates: [[-30, 11]] },
+    ]);
+
+    try {
+      const features = [...readShapefile(`${base}.shp`)];
+
+      assert.deepEqual(
+        features.map((f) => f.properties),
+        [{ NAME: "KATRINA" }, { NAME: null }],
+      );
+      assert.deepEqual(features[0].geometry, {
+        type: "LineString",
+        coordinates: [
+          [-84.6, 24.5],
+          [-85.6, 24.8],
+        ],
+      });
+    } finally {
+      fs.rmSync(directory, { recursive: true });
+    }
+  });
+});
+
+describe("readGeoJSON", () => {
+  const point = feature("Point", [-30, 11], { NAME: "IRENE" });
+
+  async function read(text) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "geojson-"));
+    const file = path.join(directory, "storms.geojson");
+    fs.writeFileSync(file, text);
+    try {
+      const features = [];
+      for await (const f of readGeoJSON(file)) features.push(f);
+      return features;
+    } finally {
+      fs.rmSync(directory, { recursive: true });
+    }
+  }
+
+  it("streams the one feature per line that ogr2ogr writes", async () => {
+    const text = [
+      '{ "type": "FeatureCollection",',
+      '"features": [',
+      `${JSON.stringify(point).replace('{"type":', '{ "type": ')},`,
+      JSON.stringify(point),
+      "]",
+      "}",
+    ].join("\n");
+
+    assert.deepEqual(await read(text), [point, point]);
+  });
+
+  it("parses a collection written on one line whole", async () => {
+    const text = JSON.stringify({
+      type: "FeatureCollection",
+      features: [point, point],
+    }).replace('{"type":', '{ "type": ');
+
+    assert.deepEqual(await read(text), [point, point]);
+  });
+});
@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+
+import { datasets } from "../src/js/datasets.js";
+import {
+  addDataset,
+  isDatasetVisible,
+  setDatasetVisibility,
+  setStormView,
+} from "../src/js/layers.js";
+
+// Just enough of a map to stack sources and layers
+function createMap() {
+  const sources = {};
+  const layers = [{ id: "water" }, { id: "place-label", type: "symbol" }];
+  return {
+    sources,
+    layers,
+    addSource: (id, source) => {
+      sources[id] = source;
+    },
+    addLayer: (layer, beforeId) => {
+      const index = layers.findIndex((l) => l.id === beforeId);
+      layers.splice(index === -1 ? layers.length : index, 0, layer);
+    },
+    getLayer: (id) => layers.find((l) => l.id === id),
+    getStyle: () => ({ layers }),
+    setLayoutProperty: (id, name, value) => {
+      const layer = layers.find((l) => l.id === id);
+      layer.layout = { ...layer.layout, [name]: value };
+    },
+  };
+}
+
+const archive = (key) => ({ source: { getKey: () => key } });
+
+const cones = {
+  id: "cones",
+  label: "Forecast cones",
+  url: "https://example.com/cones.pmtiles",
+  sourceLayer: "cones",
+  type: "fill",
+  paint: { "fill-opacity": 0.2 },
+};
+
+describe("addDataset", () => {
+  before(() => {
+    globalThis.pmtiles = { Protocol: class {} };
+    globalThis.pmtiles.Protocol.prototype.add = () => {};
+    globalThis.maplibregl = { addProtocol: () => {} };
+  });
+
+  after(() => {
+    delete globalThis.pmtiles;
+    delete globalThis.maplibregl;
+  });
+
+  it("stacks the registry in order under the labels", () => {
+    const map = createMap();
+    for (const dataset of [...datasets, cones]) {
+      addDataset(map, dataset, { archive: archive(`${dataset.id}.pmtiles`) });
+    }
+
+    assert.deepEqual(
+      map.layers.map((layer) => layer.id),
+      ["water", "storms-line", "cones-fill", "place-label"],
+    );
+    assert.equal(map.sources.cones.url, "pmtiles://cones.pmtiles");
+    assert.deepEqual(map.getLayer("cones-fill").metadata, { dataset: "cones" });
+    assert.equal(map.getLayer("cones-fill")["source-layer"], "cones");
+  });
+});
+
+describe("setDatasetVisibility", () => {
+  it("hides a dataset's layers and brings the storms back in their view", () => {
+    const map = createMap();
+    map.layers.push(
+      { id: "storms-line", source: "storms" },
+      { id: "storms-density", source: "storms" },
+      { id: "cones-fill", source: "cones" },
+    );
+    setStormView(map, "density");
+
+    setDatasetVisibility(map, "storms", false);
+    assert.equal(isDatasetVisible(map, "storms"), false);
+    assert.equal(map.getLayer("storms-density").layout.visibility, "none");
+    setStormView(map, "lines");
+    assert.equal(map.getLayer("storms-line").layout.visibility, "none");
+
+    setDatasetVisibility(map, "storms", true);
+    assert.equal(map.getLayer("storms-line").layout.visibility, "visible");
+    assert.equal(map.getLayer("storms-density").layout.visibility, "none");
+    assert.equal(map.getLayer("cones-fill").layout, undefined);
+  });
+});
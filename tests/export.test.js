@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { drawMapOverlay } from "../src/js/export.js";
+import { stormDensityPaint, stormLinePaint } from "../src/js/layers.js";
+
+// Record the text a 2D context is asked to draw
+function createContext() {
+  const text = [];
+  const noop = () => {};
+  return {
+    text,
+    fillText: (value) => text.push(value),
+    measureText: (value) => ({ width: value.length * 6 }),
+    createLinearGradient: () => ({ addColorStop: noop }),
+    beginPath: noop,
+    roundRect: noop,
+    fill: noop,
+    fillRect: noop,
+  };
+}
+
+function createMap(view) {
+  const layers = {
+    "storms-line": { paint: stormLinePaint, visibility: "visible" },
+    "storms-density": { paint: stormDensityPaint, visibility: "none" },
+  };
+  if (view === "density") {
+    layers["storms-line"].visibility = "none";
+    layers["storms-density"].visibility = "visible";
+  }
+  return {
+    getLayer: (id) => layers[id],
+    getLayoutProperty: (id, name) => layers[id][name],
+    getPaintProperty: (id, name) => layers[id].paint[name],
+  };
+}
+
+const options = {
+  width: 800,
+  height: 600,
+  attribution: "© OpenStreetMap",
+  background: "#000",
+  color: "#fff",
+};
+
+describe("drawMapOverlay", () => {
+  it("draws the title, category legend and attribution", () => {
+    const context = createContext();
+
+    drawMapOverlay(context, createMap(), { ...options, title: "Katrina" });
+
+    assert.equal(context.text[0], "Katrina");
+    assert.equal(context.text[1], "SAFFIR-SIMPSON CATEGORY");
+    assert.equal(context.text[2], "Tropical depression");
+    assert.equal(context.text[8], "Category 5 hurricane");
+    assert.equal(context.text.at(-1), "© OpenStreetMap");
+  });
+
+  it("draws the density ramp in the density view and skips a blank title", () => {
+    const context = createContext();
+
+    drawMapOverlay(context, createMap("density"), { ...options, title: "" });
+
+    assert.deepEqual(context.text, [
+      "STORM FREQUENCY",
+      "Fewer",
+      "More",
+      "© OpenStreetMap",
+    ]);
+  });
+});
@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  applyStormFilters,
+  buildStormFilter,
+  createStormFilters,
+  firstSeason,
+  lastSeason,
+} from "../src/js/filters.js";
+import { setStormView } from "../src/js/layers.js";
+import { getExpressionStops } from "../src/js/legend.js";
+
+// Just enough of a map to hold layer filters and visibility
+function createMap(layerIds) {
+  const layers = Object.fromEntries(layerIds.map((id) => [id, { id }]));
+  return {
+    layers,
+    getLayer: (id) => layers[id],
+    setFilter: (id, filter) => {
+      layers[id].filter = filter;
+    },
+    setLayoutProperty: (id, name, value) => {
+      layers[id][name] = value;
+    },
+    fire: () => {},
+  };
+}
+
+describe("buildStormFilter", () => {
+  it("returns null when nothing is filtered out", () => {
+    assert.equal(buildStormFilter(createStormFilters()), null);
+  });
+
+  it("combines seasons, basins and categories", () => {
+    const filter = buildStormFilter(
+      createStormFilters({
+        seasons: [2005, 2005],
+        basins: ["NA"],
+        categories: [3, 4, 5],
+      }),
+    );
+    const season = ["to-number", ["get", "SEASON"]];
+
+    assert.deepEqual(filter, [
+      "all",
+      [">=", season, 2005],
+      ["<=", season, 2005],
+      ["in", ["get", "BASIN"], ["literal", ["NA"]]],
+      ["in", ["max", ["get", "USA_SSHS"], -1], ["literal", [3, 4, 5]]],
+    ]);
+  });
+
+  it("skips the season test when the full range is selected", () => {
+    const filter = buildStormFilter(
+      createStormFilters({ seasons: [firstSeason, lastSeason], basins: [] }),
+    );
+
+    assert.equal(filter.length, 2);
+    assert.equal(filter[1][0], "in");
+  });
+});
+
+describe("applyStormFilters", () => {
+  it("filters the track, point and density layers alike", () => {
+    const map = createMap(["storms-line", "storms-density"]);
+    applyStormFilters(map, createStormFilters({ basins: ["WP"] }));
+
+    assert.deepEqual(map.layers["storms-line"].filter, [
+      "all",
+      ["in", ["get", "BASIN"], ["literal", ["WP"]]],
+    ]);
+    assert.deepEqual(
+      map.layers["storms-density"].filter,
+      map.layers["storms-line"].filter,
+    );
+  });
+});
+
+describe("setStormView", () => {
+  it("swaps the tracks for the density heatmap and back", () => {
+    const map = createMap(["storms-points", "storms-line", "storms-density"]);
+
+    setStormView(map, "density");
+    assert.equal(map.layers["storms-line"].visibility, "none");
+    assert.equal(map.layers["storms-points"].visibility, "none");
+    assert.equal(map.layers["storms-density"].visibility, "visible");
+
+    setStormView(map, "lines");
+    assert.equal(map.layers["storms-line"].visibility, "visible");
+    assert.equal(map.layers["storms-density"].visibility, "none");
+  });
+});
+
+describe("getExpressionStops", () => {
+  it("reads interpolate stops", () => {
+    const stops = getExpressionStops([
+      "interpolate",
+      ["linear"],
+      ["get", "USA_WIND"],
+      0,
+      0.8,
+      150,
+      5,
+    ]);
+
+    assert.deepEqual(stops, [
+      { value: 0, output: 0.8 },
+      { value: 150, output: 5 },
+    ]);
+  });
+
+  it("reads step stops with the default output first", () => {
+    const stops = getExpressionStops([
+      "step",
+      ["get", "USA_SSHS"],
+      "#aaa",
+      1,
+      "#f00",
+    ]);
+
+    assert.deepEqual(stops, [
+      { value: null, output: "#aaa" },
+      { value: 1, output: "#f00" },
+    ]);
+  });
+
+  it("returns nothing for a constant", () => {
+    assert.deepEqual(getExpressionStops("#fff"), []);
+  });
+});
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * build-fixture.js - Write a tiny PMTiles archive for the test suite
+ *
+ * The archive holds a single zoom 0 vector tile with "storms" and "points"
+ * layers built from a few hand-picked IBTrACS-style fixes, plus the matching search
+ * index. Both are small enough to commit and are built with the same code as
+ * the real tiles.
+ *
+ * Usage:
+ *   node tests/fixtures/build-fixture.js
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { buildStormIndex } from "../../scripts/build-storm-index.js";
+import { buildTiles } from "../../scripts/build-tiles.js";
+import { applySchema, readSchema } from "../../scripts/schema.js";
+
+const DIRECTORY = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT = path.join(DIRECTORY, "storms.pmtiles");
+const INDEX_OUTPUT = path.join(DIRECTORY, "storms.index.json");
+const SCHEMA = readSchema(
+  path.join(DIRECTORY, "../../scripts/ibtracs-schema.json"),
+);
+
+// 6-hourly fixes from three well-known storms: lng, lat, time, wind, pressure
+// and Saffir-Simpson category
+const STORMS = [
+  {
+    SID: "2005236N23285",
+    NAME: "KATRINA",
+    SEASON: 2005,
+    BASIN: "NA",
+    fixes: [
+      [-84.6, 24.5, "2005-08-27 00:00:00", 95, 959, 2],
+      [-85.6, 24.8, "2005-08-27 12:00:00", 100, 950, 3],
+      [-87.7, 26.0, "2005-08-28 12:00:00", 145, 905, 5],
+      [-89.6, 28.2, "2005-08-29 00:00:00", 140, 908, 5],
+      [-89.6, 30.2, "2005-08-29 12:00:00", 110, 923, 3],
+    ],
+  },
+  {
+    SID: "2013306N07162",
+    NAME: "HAIYAN",
+    SEASON: 2013,
+    BASIN: "WP",
+    fixes: [
+      [135.0, 7.5, "2013-11-06 12:00:00", 150, 910, 5],
+      [128.9, 9.8, "2013-11-07 06:00:00", 170, 895, 5],
+      [124.6, 11.1, "2013-11-07 18:00:00", 165, 899, 5],
+    ],
+  },
+  {
+    SID: "1980214N11330",
+    NAME: "ALLEN",
+    SEASON: 1980,
+    BASIN: "NA",
+    fixes: [
+      [-30.0, 11.0, "1980-08-02 00:00:00", 35, 1005, 0],
+      [-45.0, 12.5, "1980-08-03 12:00:00", 100, 965, 3],
+      [-60.0, 13.5, "1980-08-05 00:00:00", 135, 945, 4],
+    ],
+  },
+];
+
+function fixProperties({ SID, NAME, SEASON, BASIN }, fix) {
+  const [, , ISO_TIME, USA_WIND, USA_PRES, USA_SSHS] = fix;
+  return { SID, NAME, SEASON, BASIN, ISO_TIME, USA_SSHS, USA_WIND, USA_PRES };
+}
+
+// Like the IBTrACS lines product, each segment runs from one fix to the next
+// and carries the attributes of the fix it starts at
+const SEGMENTS = STORMS.flatMap((storm) =>
+  storm.fixes.slice(0, -1).map((fix, i) => {
+    const { USA_PRES, ...properties } = fixProperties(storm, fix);
+    return {
+      type: "LineString",
+      properties,
+      coordinates: [fix.slice(0, 2), storm.fixes[i + 1].slice(0, 2)],
+    };
+  }),
+);
+
+const POINTS = STORMS.flatMap((storm) =>
+  storm.fixes.map((fix) => ({
+    type: "Point",
+    properties: fixProperties(storm, fix),
+    coordinates: fix.slice(0, 2),
+  })),
+);
+
+// GeoJSON features for the tile and index builders. The tiles get the same
+// attribute cleanup as the real archive.
+const toFeature = ({ type, properties, coordinates }) => ({
+  type: "Feature",
+  properties,
+  geometry: { type, coordinates },
+});
+const toTileFeature = (item) => {
+  const feature = toFeature(item);
+  return { ...feature, properties: applySchema(feature.properties, SCHEMA) };
+};
+
+const archive = buildTiles(
+  {
+    storms: SEGMENTS.map(toTileFeature),
+    points: POINTS.map(toTileFeature),
+  },
+  { minZoom: 0, maxZoom: 0, simplification: 0, name: "IBTrACS test fixture" },
+);
+fs.writeFileSync(OUTPUT, archive);
+console.log(`Fixture saved: ${path.relative(process.cwd(), OUTPUT)}`);
+
+const index = buildStormIndex(SEGMENTS.map(toFeature));
+fs.writeFileSync(INDEX_OUTPUT, `${JSON.stringify(index, null, 2)}\n`);
+console.log(`Fixture saved: ${path.relative(process.cwd(), INDEX_OUTPUT)}`);
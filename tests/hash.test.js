@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { readHashState } from "../src/js/hash.js";
+
+describe("readHashState", () => {
+  it("reads the basins and categories lists", () => {
+    const state = readHashState("#basins=NA,EP,XX&categories=-1,3,9");
+    assert.deepEqual(state.basins, ["NA", "EP"]);
+    assert.deepEqual(state.categories, [-1, 3]);
+  });
+
+  it("keeps empty basins and categories empty", () => {
+    const state = readHashState("#basins=&categories=");
+    assert.deepEqual(state.basins, []);
+    assert.deepEqual(state.categories, []);
+  });
+
+  it("leaves the filters alone when the hash has none", () => {
+    const state = readHashState("#map=1.5/15/0");
+    assert.equal(state.basins, undefined);
+    assert.equal(state.categories, undefined);
+  });
+});
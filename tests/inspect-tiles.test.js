@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import { buildTiles } from "../scripts/build-tiles.js";
+import {
+  inspectArchive,
+  requiredAttributes,
+  validateArchive,
+} from "../scripts/inspect-tiles.js";
+
+const track = {
+  type: "Feature",
+  properties: {
+    SID: "2005236N23285",
+    NAME: "KATRINA",
+    SEASON: 2005,
+    BASIN: "NA",
+    USA_SSHS: 5,
+    USA_WIND: 150,
+  },
+  geometry: {
+    type: "LineString",
+    coordinates: [
+      [-87.7, 26],
+      [-89.6, 28.2],
+    ],
+  },
+};
+
+describe("validateArchive", () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "inspect-"));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  async function inspect(layers, options) {
+    const file = path.join(directory, "storms.pmtiles");
+    fs.writeFileSync(file, buildTiles(layers, options));
+    return inspectArchive(file);
+  }
+
+  it("counts tiles and attributes and finds nothing wrong", async () => {
+    const report = await inspect({ storms: [track] }, { maxZoom: 2 });
+
+    // At zoom 2 the track runs along a tile edge, so the tile buffers on
+    // both sides of it hold a copy
+    assert.deepEqual(
+      [...report.zooms].map(([z, { tiles }]) => [z, tiles]),
+      [
+        [0, 1],
+        [1, 1],
+        [2, 2],
+      ],
+    );
+    const wind = report.layers.get("storms").attributes.get("USA_WIND");
+    assert.equal(wind.count, 4);
+    assert.equal(wind.max, 150);
+    assert.deepEqual(validateArchive(report, { minZoom: 0, maxZoom: 2 }), []);
+  });
+
+  it("reports the zooms, layers and attributes the map needs", async () => {
+    const report = await inspect(
+      { tracks: [track] },
+      { maxZoom: 2, lowMaxZoom: 0 },
+    );
+    assert.deepEqual(validateArchive(report), [
+      "The archive covers zooms 0-2, but the map expects 0-8",
+      'There is no "storms" layer',
+    ]);
+
+    const lowReport = await inspect(
+      { storms: [track] },
+      {
+        maxZoom: 2,
+        lowMaxZoom: 0,
+        lowInclude: requiredAttributes.storms.filter((a) => a !== "USA_WIND"),
+      },
+    );
+    assert.deepEqual(validateArchive(lowReport, { minZoom: 0, maxZoom: 2 }), [
+      "The storms layer has no USA_WIND attribute at zoom 0",
+    ]);
+  });
+});
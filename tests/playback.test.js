@@ -0,0 +1,191 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import {
+  createStormPlayback,
+  interpolateLine,
+  orderTrackSegments,
+} from "../src/js/playback.js";
+
+function segment(time, coordinates, wind = 50) {
+  return {
+    properties: { SID: "2005236N23285", ISO_TIME: time, USA_WIND: wind },
+    geometry: { type: "LineString", coordinates },
+  };
+}
+
+// Three segments as the tiles hand them back: shuffled, and the last one
+// clipped in two where it crosses a tile edge
+const features = [
+  segment("2005-08-28 12:00:00", [
+    [-88.65, 27.1],
+    [-89.6, 28.2],
+  ]),
+  segment("2005-08-27 00:00:00", [
+    [-84.6, 24.5],
+    [-85.6, 24.8],
+  ]),
+  segment("2005-08-27 12:00:00", [
+    [-85.6, 24.8],
+    [-87.7, 26],
+  ]),
+  segment("2005-08-28 12:00:00", [
+    [-87.7, 26],
+    [-88.7, 27.15],
+  ]),
+];
+
+describe("orderTrackSegments", () => {
+  it("sorts segments by time and joins clipped pieces", () => {
+    const segments = orderTrackSegments(features);
+
+    assert.deepEqual(
+      segments.map((s) => s.time),
+      ["2005-08-27 00:00:00", "2005-08-27 12:00:00", "2005-08-28 12:00:00"],
+    );
+    assert.deepEqual(segments[2].coordinates, [
+      [-87.7, 26],
+      [-89.6, 28.2],
+    ]);
+  });
+});
+
+describe("interpolateLine", () => {
+  it("walks along the vertices", () => {
+    const line = [
+      [0, 0],
+      [10, 0],
+      [10, 10],
+    ];
+
+    assert.deepEqual(interpolateLine(line, 0), [0, 0]);
+    assert.deepEqual(interpolateLine(line, 0.25), [5, 0]);
+    assert.deepEqual(interpolateLine(line, 0.75), [10, 5]);
+    assert.deepEqual(interpolateLine(line, 1), [10, 10]);
+  });
+});
+
+describe("createStormPlayback", () => {
+  let now;
+  let frames;
+  let nextFrameId;
+
+  function tick(milliseconds) {
+    now += milliseconds;
+    const pending = frames;
+    frames = new Map();
+    for (const callback of pending.values()) callback(now);
+  }
+
+  function createMap() {
+    const map = { data: null, layers: [] };
+    Object.assign(map, {
+      addSource: (id, source) => {
+        map.data = source.data;
+      },
+      addLayer: (layer) => map.layers.push(layer.id),
+      getStyle: () => ({ layers: [] }),
+      getPaintProperty: () => undefined,
+      getSource: () => ({
+        setData: (data) => {
+          map.data = data;
+        },
+      }),
+      querySourceFeatures: () => features,
+      on: () => {},
+    });
+    return map;
+  }
+
+  // The marker is the one point feature in the playback source
+  function marker(map) {
+    return map.data.features.find((f) => f.geometry.type === "Point").geometry
+      .coordinates;
+  }
+
+  beforeEach(() => {
+    now = 0;
+    frames = new Map();
+    nextFrameId = 1;
+    globalThis.performance.now = () => now;
+    globalThis.requestAnimationFrame = (callback) => {
+      const id = nextFrameId++;
+      frames.set(id, callback);
+      return id;
+    };
+    globalThis.cancelAnimationFrame = (id) => frames.delete(id);
+  });
+
+  afterEach(() => {
+    delete globalThis.requestAnimationFrame;
+    delete globalThis.cancelAnimationFrame;
+  });
+
+  it("adds a line and a marker layer", () => {
+    const map = createMap();
+    createStormPlayback(map);
+
+    assert.deepEqual(map.layers, [
+      "storms-playback-line",
+      "storms-playback-marker",
+    ]);
+  });
+
+  it("starts the marker at the first fix", () => {
+    const map = createMap();
+    const playback = createStormPlayback(map);
+
+    assert.equal(playback.load("2005236N23285"), 3);
+    assert.deepEqual(marker(map), [-84.6, 24.5]);
+  });
+
+  it("advances one segment per step and stops at the end", () => {
+    const map = createMap();
+    const playback = createStormPlayback(map, { stepsPerSecond: 2 });
+    playback.load("2005236N23285");
+
+    playback.start();
+    tick(500);
+    assert.equal(playback.getPosition(), 1);
+    assert.equal(playback.getCurrent().time, "2005-08-27 12:00:00");
+    assert.deepEqual(marker(map), [-85.6, 24.8]);
+
+    tick(5000);
+    assert.equal(playback.getPosition(), 3);
+    assert.equal(playback.isPlaying(), false);
+    assert.equal(frames.size, 0);
+    assert.deepEqual(marker(map), [-89.6, 28.2]);
+  });
+
+  it("scrubs to a position and reports each change", () => {
+    const map = createMap();
+    let changes = 0;
+    const playback = createStormPlayback(map, {
+      onFrame: () => changes++,
+    });
+    playback.load("2005236N23285");
+    changes = 0;
+
+    playback.seek(1.5);
+
+    assert.equal(changes, 1);
+    assert.deepEqual(marker(map), [-86.65, 25.4]);
+    assert.equal(
+      map.data.features.filter((f) => f.geometry.type === "LineString").length,
+      2,
+    );
+  });
+
+  it("clears the track", () => {
+    const map = createMap();
+    const playback = createStormPlayback(map);
+    playback.load("2005236N23285");
+    playback.start();
+
+    playback.clear();
+
+    assert.equal(playback.getLength(), 0);
+    assert.equal(playback.isPlaying(), false);
+    assert.deepEqual(map.data.features, []);
+  });
+});
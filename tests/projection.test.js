@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import {
+  getProjectionName,
+  transitionProjection,
+} from "../src/js/projection.js";
+
+let reducedMotion;
+let animations;
+
+function createMap(projection) {
+  let current = projection && { type: projection };
+  return {
+    getProjection: () => current,
+    setProjection: (value) => {
+      current = value;
+    },
+    once: async () => {},
+    getCanvas: () => ({
+      animate: (keyframes) => {
+        const animation = {
+          keyframes,
+          projection: current?.type,
+          cancelled: false,
+          finished: Promise.resolve(),
+          cancel: () => {
+            animation.cancelled = true;
+          },
+        };
+        animations.push(animation);
+        return animation;
+      },
+    }),
+  };
+}
+
+describe("transitionProjection", () => {
+  beforeEach(() => {
+    reducedMotion = false;
+    animations = [];
+    globalThis.window = {
+      matchMedia: () => ({ matches: reducedMotion }),
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.window;
+  });
+
+  it("reads a style without a projection as mercator", () => {
+    assert.equal(getProjectionName(createMap()), "mercator");
+    assert.equal(getProjectionName(createMap("globe")), "globe");
+  });
+
+  it("fades out, switches and fades back in", async () => {
+    const map = createMap("globe");
+
+    await transitionProjection(map, "mercator");
+
+    assert.equal(getProjectionName(map), "mercator");
+    assert.deepEqual(
+      animations.map((a) => [a.projection, a.keyframes.at(-1).opacity]),
+      [
+        ["globe", 0],
+        ["mercator", 1],
+      ],
+    );
+    assert.equal(animations[0].cancelled, true);
+  });
+
+  it("switches at once for readers who ask for less motion", async () => {
+    reducedMotion = true;
+    const map = createMap("mercator");
+
+    await transitionProjection(map, "globe");
+
+    assert.equal(getProjectionName(map), "globe");
+    assert.equal(animations.length, 0);
+  });
+});
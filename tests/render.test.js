@@ -0,0 +1,181 @@
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { startServer } from "./server.js";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const require = createRequire(import.meta.url);
+
+// Serve the CDN scripts from node_modules so the page loads with no network
+const CDN_FILES = {
+  "maplibre-gl.js": require.resolve("maplibre-gl/dist/maplibre-gl.js"),
+  "maplibre-gl.css": require.resolve("maplibre-gl/dist/maplibre-gl.css"),
+  "pmtiles.js": path.join(
+    path.dirname(require.resolve("pmtiles")),
+    "pmtiles.js",
+  ),
+};
+
+// Render with SwiftShader, Chromium's software WebGL
+const CHROMIUM_ARGS = [
+  "--use-gl=angle",
+  "--use-angle=swiftshader",
+  "--enable-unsafe-swiftshader",
+  "--ignore-gpu-blocklist",
+];
+
+let chromium;
+try {
+  ({ chromium } = await import("playwright"));
+} catch {
+  chromium = null;
+}
+
+describe("index.html in headless Chromium", () => {
+  let browser;
+  let server;
+  let page;
+  let skipReason = null;
+
+  // Skip locally when there's no browser, but CI installs Chromium on
+  // purpose, so a launch that fails there has to fail the run
+  function unavailable(reason) {
+    if (process.env.CI) throw new Error(reason);
+    skipReason = reason;
+  }
+
+  before(async () => {
+    if (!chromium) return unavailable("playwright is not installed");
+    try {
+      browser = await chromium.launch({ args: CHROMIUM_ARGS });
+    } catch (error) {
+      return unavailable(
+        `Chromium could not start: ${error.message.split("\n")[0]}`,
+      );
+    }
+
+    ({ server } = await startServer({
+      "/": path.join(root, "src"),
+      "/fixtures/": path.join(root, "tests", "fixtures"),
+    }));
+    const { port } = server.address();
+
+    page = await browser.newPage({ viewport: { width: 800, height: 600 } });
+    // Nothing beyond the test server is reachable, so the basemap falls back
+    // to the bundled style and the storms can only come from the fixture.
+    // Playwright tries the latest route first, so the CDN one below wins.
+    await page.route(/^https?:\/\/(?!127\.0\.0\.1[:/])/, (route) =>
+      route.abort(),
+    );
+    await page.route("https://unpkg.com/**", (route) => {
+      const file =
+        CDN_FILES[path.basename(new URL(route.request().url()).pathname)];
+      return file ? route.fulfill({ path: file }) : route.abort();
+    });
+
+    await page.goto(
+      `http://127.0.0.1:${port}/?storms=/fixtures/storms.pmtiles#map=1.5/15/-40/0&spin=off`,
+    );
+    await page.waitForFunction(() => window.stormMap?.loaded(), null, {
+      timeout: 30000,
+    });
+  });
+
+  after(async () => {
+    await browser?.close();
+    server?.close();
+  });
+
+  it("adds the storms source and storms-line layer", async (t) => {
+    if (skipReason) return t.skip(skipReason);
+
+    const { source, layer } = await page.evaluate(() => ({
+      source: window.stormMap.getSource("storms")?.type,
+      layer: window.stormMap.getLayer("storms-line")?.type,
+    }));
+
+    assert.equal(source, "vector");
+    assert.equal(layer, "line");
+  });
+
+  it("reads the storms from the fixture archive", async (t) => {
+    if (skipReason) return t.skip(skipReason);
+
+    const url = await page.evaluate(
+      () => window.stormMap.getSource("storms").url,
+    );
+
+    assert.match(
+      url,
+      /^pmtiles:\/\/http:\/\/127\.0\.0\.1:\d+\/fixtures\/storms\.pmtiles$/,
+    );
+  });
+
+  it("keeps the storms layer under the basemap labels", async (t) => {
+    if (skipReason) return t.skip(skipReason);
+
+    const order = await page.evaluate(() =>
+      window.stormMap.getStyle().layers.map((layer) => layer.id),
+    );
+
+    assert.ok(order.includes("storms-line"));
+    const firstSymbol = await page.evaluate(
+      () =>
+        window.stormMap.getStyle().layers.find((l) => l.type === "symbol")?.id,
+    );
+    if (firstSymbol) {
+      assert.ok(order.indexOf("storms-line") < order.indexOf(firstSymbol));
+    }
+  });
+
+  it("draws the points layer beneath the tracks", async (t) => {
+    if (skipReason) return t.skip(skipReason);
+
+    const order = await page.evaluate(() =>
+      window.stormMap.getStyle().layers.map((layer) => layer.id),
+    );
+
+    assert.ok(order.includes("storms-points"));
+    assert.ok(order.indexOf("storms-points") < order.indexOf("storms-line"));
+  });
+
+  it("renders the fixture tracks", async (t) => {
+    if (skipReason) return t.skip(skipReason);
+
+    const names = await page.evaluate(
+      () =>
+        new Promise((resolve) => {
+          const map = window.stormMap;
+          const query = () =>
+            map
+              .queryRenderedFeatures({ layers: ["storms-line"] })
+              .map((feature) => feature.properties.NAME);
+          if (map.loaded()) {
+            resolve(query());
+          } else {
+            map.once("idle", () => resolve(query()));
+          }
+        }),
+    );
+
+    assert.ok(names.includes("ALLEN"), `rendered: ${names.join(", ")}`);
+  });
+
+  it("exports the view at twice its size", async (t) => {
+    if (skipReason) return t.skip(skipReason);
+
+    const size = await page.evaluate(async () => {
+      const { renderMapImage } = await import("./js/storm-map.js");
+      const image = await renderMapImage(window.stormMap, {
+        scale: 2,
+        title: "Test",
+      });
+      return [image.width, image.height];
+    });
+
+    assert.deepEqual(size, [1600, 1200]);
+  });
+});
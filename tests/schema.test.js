@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { applySchema, parseSchema } from "../scripts/schema.js";
+
+describe("applySchema", () => {
+  const schema = parseSchema({
+    fields: {
+      SID: {},
+      NAME: { null: ["NOT_NAMED"] },
+      USA_SSHS: { type: "integer", default: -1 },
+      USA_WIND: { type: "number", name: "wind" },
+    },
+  });
+
+  it("keeps, coerces and renames the listed fields", () => {
+    assert.deepEqual(
+      applySchema(
+        {
+          SID: "2005236N23285",
+          NAME: "KATRINA",
+          USA_SSHS: "5",
+          USA_WIND: " 150 ",
+          TRACK_TYPE: "main",
+        },
+        schema,
+      ),
+      { SID: "2005236N23285", NAME: "KATRINA", USA_SSHS: 5, wind: 150 },
+    );
+  });
+
+  it("turns sentinels and blanks into nulls or defaults", () => {
+    assert.deepEqual(
+      applySchema(
+        { SID: "x", NAME: "NOT_NAMED", USA_SSHS: " ", USA_WIND: "n/a" },
+        schema,
+      ),
+      { SID: "x", NAME: null, USA_SSHS: -1, wind: null },
+    );
+  });
+
+  it("rejects types it doesn't know", () => {
+    assert.throws(
+      () => parseSchema({ fields: { SEASON: { type: "date" } } }),
+      /Unknown type "date" for the SEASON field/,
+    );
+  });
+});
@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { searchStorms } from "../src/js/search.js";
+
+const index = [
+  { id: "2005236N23285", name: "KATRINA", season: 2005, category: 5 },
+  { id: "1981204N09264", name: "KATRINA", season: 1981, category: 1 },
+  { id: "2013306N07162", name: "HAIYAN", season: 2013, category: 5 },
+  { id: "2017242N16333", name: "IRMA", season: 2017, category: 5 },
+];
+
+describe("searchStorms", () => {
+  it("matches name prefixes, strongest first", () => {
+    const ids = searchStorms(index, "kat").map((storm) => storm.id);
+
+    assert.deepEqual(ids, ["2005236N23285", "1981204N09264"]);
+  });
+
+  it("narrows by season", () => {
+    const ids = searchStorms(index, "Katrina (1981)").map((storm) => storm.id);
+
+    assert.deepEqual(ids, ["1981204N09264"]);
+  });
+
+  it("finds every storm in a season", () => {
+    const names = searchStorms(index, "2013").map((storm) => storm.name);
+
+    assert.deepEqual(names, ["HAIYAN"]);
+  });
+
+  it("returns nothing for an empty query", () => {
+    assert.deepEqual(searchStorms(index, "  "), []);
+  });
+
+  it("caps the number of results", () => {
+    assert.equal(searchStorms(index, "20", 1).length, 1);
+  });
+});
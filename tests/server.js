@@ -0,0 +1,90 @@
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+
+const CONTENT_TYPES = {
+  ".css": "text/css",
+  ".html": "text/html",
+  ".js": "text/javascript",
+  ".json": "application/json",
+  ".pmtiles": "application/octet-stream",
+};
+
+/**
+ * Serve static files with HTTP range support, which PMTiles needs.
+ *
+ * `mounts` maps URL prefixes to directories, e.g. { "/": "src" }. Resolves
+ * with the running server and its base URL.
+ */
+export function startServer(mounts, port = 0) {
+  const entries = Object.entries(mounts)
+    .map(([prefix, directory]) => [prefix, path.resolve(directory)])
+    .sort(([a], [b]) => b.length - a.length);
+
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    const mount = entries.find(([prefix]) => pathname.startsWith(prefix));
+    if (!mount) {
+      response.writeHead(404).end();
+      return;
+    }
+
+    const [prefix, directory] = mount;
+    let file = path.join(
+      directory,
+      decodeURIComponent(pathname.slice(prefix.length)),
+    );
+    if (!file.startsWith(directory)) {
+      response.writeHead(403).end();
+      return;
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+      file = path.join(file, "index.html");
+    }
+    if (!fs.existsSync(file)) {
+      response.writeHead(404).end();
+      return;
+    }
+
+    const { size } = fs.statSync(file);
+    const headers = {
+      "Accept-Ranges": "bytes",
+      "Content-Type":
+        CONTENT_TYPES[path.extname(file)] ?? "application/octet-stream",
+    };
+
+    const range = /bytes=(\d*)-(\d*)/.exec(request.headers.range ?? "");
+    if (range) {
+      const start = range[1]
+        ? Number(range[1])
+        : Math.max(0, size - Number(range[2]));
+      // PMTiles asks for the first 16 KiB, which can run past a small file
+      const end = Math.min(
+        range[1] && range[2] ? Number(range[2]) : size - 1,
+        size - 1,
+      );
+      if (start >= size || end < start) {
+        response
+          .writeHead(416, { ...headers, "Content-Range": `bytes */${size}` })
+          .end();
+        return;
+      }
+      response.writeHead(206, {
+        ...headers,
+        "Content-Length": end - start + 1,
+        "Content-Range": `bytes ${start}-${end}/${size}`,
+      });
+      fs.createReadStream(file, { start, end }).pipe(response);
+      return;
+    }
+
+    response.writeHead(200, { ...headers, "Content-Length": size });
+    fs.createReadStream(file).pipe(response);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, "127.0.0.1", () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
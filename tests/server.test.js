@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { startServer } from "./server.js";
+
+const fixtures = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+);
+const { size } = fs.statSync(path.join(fixtures, "storms.pmtiles"));
+
+describe("startServer", () => {
+  let server;
+  let url;
+
+  before(async () => {
+    ({ server, url } = await startServer({ "/": fixtures }));
+  });
+
+  after(() => server.close());
+
+  const get = (range) =>
+    fetch(`${url}/storms.pmtiles`, {
+      headers: { Range: range },
+      signal: AbortSignal.timeout(5000),
+    });
+
+  it("stops a range that runs past the end at the end of the file", async () => {
+    const response = await get("bytes=0-16383");
+
+    assert.equal(response.status, 206);
+    assert.equal(
+      response.headers.get("Content-Range"),
+      `bytes 0-${size - 1}/${size}`,
+    );
+    assert.equal((await response.arrayBuffer()).byteLength, size);
+  });
+
+  it("refuses a range that starts past the end", async () => {
+    const response = await get(`bytes=${size}-${size + 10}`);
+
+    assert.equal(response.status, 416);
+    assert.equal(response.headers.get("Content-Range"), `bytes */${size}`);
+  });
+});
@@ -0,0 +1,286 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { createAutoSpin, createGlobeSpinner } from "../src/js/spinner.js";
+
+// Drive requestAnimationFrame and the clock by hand
+const realNow = performance.now;
+let now;
+let frames;
+let nextFrameId;
+
+function tick(milliseconds) {
+  now += milliseconds;
+  const pending = frames;
+  frames = new Map();
+  for (const callback of pending.values()) callback(now);
+}
+
+function createMap(lng = 0) {
+  let center = { lng, lat: 15 };
+  return {
+    getCenter: () => ({ ...center }),
+    setCenter: (value) => {
+      center = value;
+    },
+  };
+}
+
+describe("createGlobeSpinner", () => {
+  beforeEach(() => {
+    now = 0;
+    frames = new Map();
+    nextFrameId = 1;
+    globalThis.performance.now = () => now;
+    globalThis.requestAnimationFrame = (callback) => {
+      const id = nextFrameId++;
+      frames.set(id, callback);
+      return id;
+    };
+    globalThis.cancelAnimationFrame = (id) => frames.delete(id);
+  });
+
+  afterEach(() => {
+    globalThis.performance.now = realNow;
+    delete globalThis.requestAnimationFrame;
+    delete globalThis.cancelAnimationFrame;
+  });
+
+  it("advances the longitude by the speed times the elapsed time", () => {
+    const map = createMap();
+    const spinner = createGlobeSpinner(map, 10);
+
+    spinner.start();
+    tick(500);
+    tick(500);
+
+    assert.equal(map.getCenter().lng, 10);
+    assert.equal(map.getCenter().lat, 15);
+  });
+
+  it("spins westward with a negative speed", () => {
+    const map = createMap();
+    const spinner = createGlobeSpinner(map, 10);
+
+    spinner.setSpeed(-20);
+    spinner.start();
+    tick(1000);
+
+    assert.equal(spinner.getSpeed(), -20);
+    assert.equal(map.getCenter().lng, -20);
+  });
+
+  it("stops scheduling frames once stopped", () => {
+    const map = createMap();
+    const spinner = createGlobeSpinner(map);
+
+    spinner.start();
+    assert.equal(spinner.isSpinning(), true);
+    spinner.stop();
+    tick(1000);
+
+    assert.equal(spinner.isSpinning(), false);
+    assert.equal(frames.size, 0);
+    assert.equal(map.getCenter().lng, 0);
+  });
+
+  it("ignores a second start and doesn't jump after a pause", () => {
+    const map = createMap();
+    const spinner = createGlobeSpinner(map, 10);
+
+    spinner.start();
+    spinner.start();
+    assert.equal(frames.size, 1);
+
+    tick(1000);
+    spinner.stop();
+    now += 60_000;
+    spinner.start();
+    tick(1000);
+
+    assert.equal(map.getCenter().lng, 20);
+  });
+});
+
+describe("createAutoSpin", () => {
+  const realSetTimeout = globalThis.setTimeout;
+  const realClearTimeout = globalThis.clearTimeout;
+  let clock;
+  let timers;
+  let reducedMotion;
+
+  // Run the timeouts that fall due within `milliseconds`
+  function advance(milliseconds) {
+    clock += milliseconds;
+    for (const [id, timer] of [...timers].sort((a, b) => a[1].at - b[1].at)) {
+      if (timer.at > clock || !timers.has(id)) continue;
+      timers.delete(id);
+      timer.callback();
+    }
+  }
+
+  function setReducedMotion(matches) {
+    reducedMotion.matches = matches;
+    reducedMotion.dispatchEvent(new Event("change"));
+  }
+
+  function createMap() {
+    const handler = () => ({
+      enabled: true,
+      enable() {
+        this.enabled = true;
+      },
+      disable() {
+        this.enabled = false;
+      },
+    });
+    const container = new EventTarget();
+    return {
+      getContainer: () => container,
+      boxZoom: handler(),
+      doubleClickZoom: handler(),
+      dragPan: handler(),
+      dragRotate: handler(),
+      keyboard: handler(),
+      scrollZoom: handler(),
+      touchZoomRotate: handler(),
+    };
+  }
+
+  function createSpinner() {
+    let spinning = false;
+    return {
+      start: () => (spinning = true),
+      stop: () => (spinning = false),
+      isSpinning: () => spinning,
+    };
+  }
+
+  beforeEach(() => {
+    clock = 0;
+    timers = new Map();
+    let nextTimerId = 1;
+    globalThis.setTimeout = (callback, delay = 0) => {
+      const id = nextTimerId++;
+      timers.set(id, { callback, at: clock + delay });
+      return id;
+    };
+    globalThis.clearTimeout = (id) => timers.delete(id);
+    reducedMotion = Object.assign(new EventTarget(), { matches: false });
+    globalThis.window = { matchMedia: () => reducedMotion };
+  });
+
+  afterEach(() => {
+    globalThis.setTimeout = realSetTimeout;
+    globalThis.clearTimeout = realClearTimeout;
+    delete globalThis.window;
+  });
+
+  it("stops on input and resumes after 5 seconds without any", () => {
+    const map = createMap();
+    const spinner = createSpinner();
+    createAutoSpin(map, spinner);
+    assert.equal(spinner.isSpinning(), true);
+    assert.equal(map.dragPan.enabled, false);
+
+    map.getContainer().dispatchEvent(new Event("pointerdown"));
+    assert.equal(spinner.isSpinning(), false);
+    assert.equal(map.dragPan.enabled, true);
+
+    advance(4999);
+    assert.equal(spinner.isSpinning(), false);
+    map.getContainer().dispatchEvent(new Event("wheel"));
+    advance(4999);
+    assert.equal(spinner.isSpinning(), false);
+    advance(1);
+    assert.equal(spinner.isSpinning(), true);
+    assert.equal(map.dragPan.enabled, false);
+  });
+
+  it("holds still while the pointer is over the map", () => {
+    const map = createMap();
+    const spinner = createSpinner();
+    createAutoSpin(map, spinner);
+
+    map.getContainer().dispatchEvent(new Event("pointerenter"));
+    map.getContainer().dispatchEvent(new Event("pointerdown"));
+    advance(10_000);
+    assert.equal(spinner.isSpinning(), false);
+
+    map.getContainer().dispatchEvent(new Event("pointerleave"));
+    advance(5000);
+    assert.equal(spinner.isSpinning(), true);
+  });
+
+  it("waits for canResume before spinning again", () => {
+    const map = createMap();
+    const spinner = createSpinner();
+    let popupOpen = true;
+    const autoSpin = createAutoSpin(map, spinner, {
+      canResume: () => !popupOpen,
+    });
+    assert.equal(spinner.isSpinning(), false);
+
+    autoSpin.scheduleResume();
+    advance(5000);
+    assert.equal(spinner.isSpinning(), false);
+
+    popupOpen = false;
+    autoSpin.scheduleResume();
+    advance(5000);
+    assert.equal(spinner.isSpinning(), true);
+  });
+
+  it("stays paused once the reader pauses it", () => {
+    const map = createMap();
+    const spinner = createSpinner();
+    let changes = 0;
+    const autoSpin = createAutoSpin(map, spinner, {
+      onChange: () => changes++,
+    });
+
+    autoSpin.setPlaying(false);
+    map.getContainer().dispatchEvent(new Event("pointerdown"));
+    advance(10_000);
+
+    assert.equal(autoSpin.isPlaying(), false);
+    assert.equal(spinner.isSpinning(), false);
+    assert.equal(changes, 1);
+  });
+
+  it("starts still for readers who ask for less motion", () => {
+    reducedMotion.matches = true;
+    const map = createMap();
+    const spinner = createSpinner();
+    const autoSpin = createAutoSpin(map, spinner);
+    assert.equal(autoSpin.isPlaying(), false);
+    assert.equal(spinner.isSpinning(), false);
+
+    autoSpin.setPlaying(true);
+    assert.equal(spinner.isSpinning(), true);
+  });
+
+  it("follows the motion setting as it changes", () => {
+    const map = createMap();
+    const spinner = createSpinner();
+    createAutoSpin(map, spinner);
+
+    setReducedMotion(true);
+    assert.equal(spinner.isSpinning(), false);
+    setReducedMotion(false);
+    assert.equal(spinner.isSpinning(), true);
+  });
+
+  it("doesn't restart a paused spin when the motion setting changes", () => {
+    const map = createMap();
+    const spinner = createSpinner();
+    const autoSpin = createAutoSpin(map, spinner);
+
+    autoSpin.setPlaying(false);
+    setReducedMotion(true);
+    setReducedMotion(false);
+
+    assert.equal(autoSpin.isPlaying(), false);
+    assert.equal(spinner.isSpinning(), false);
+  });
+});
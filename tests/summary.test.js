@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { onViewChange, summarizeStorms } from "../src/js/summary.js";
+
+function segment(id, name, season, category, wind) {
+  return {
+    properties: {
+      SID: id,
+      NAME: name,
+      SEASON: season,
+      BASIN: "NA",
+      USA_SSHS: category,
+      USA_WIND: wind,
+    },
+  };
+}
+
+describe("summarizeStorms", () => {
+  it("lists each storm once at its peak, strongest first", () => {
+    const storms = summarizeStorms([
+      segment("2004223N11301", "CHARLEY", 2004, 1, 75),
+      segment("2005236N23285", "KATRINA", 2005, 3, 110),
+      segment("2004223N11301", "CHARLEY", 2004, 4, 130),
+      segment("2005236N23285", "KATRINA", 2005, 5, 150),
+      segment("2005289N18282", "WILMA", 2005, 5, 160),
+      segment("1980001S12345", "NOT_NAMED", 1980, undefined, undefined),
+    ]);
+
+    assert.deepEqual(
+      storms.map(({ name, category, wind }) => [name, category, wind]),
+      [
+        ["WILMA", 5, 160],
+        ["KATRINA", 5, 150],
+        ["CHARLEY", 4, 130],
+        ["NOT_NAMED", -1, 0],
+      ],
+    );
+  });
+});
+
+describe("onViewChange", () => {
+  it("keeps updating while the map never settles", async () => {
+    const handlers = {};
+    const map = { on: (type, handler) => (handlers[type] = handler) };
+    let updates = 0;
+    onViewChange(map, () => updates++, 20);
+
+    // A spinning globe ends a move every frame but never goes idle
+    for (let frame = 0; frame < 5; frame++) {
+      handlers.moveend();
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    // At least one update, but fewer than one a frame
+    assert.ok(updates >= 1 && updates < 5, `${updates} updates`);
+
+    const before = updates;
+    handlers.idle();
+    assert.equal(updates, before + 1);
+  });
+});
@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildCategoryColor } from "../src/js/layers.js";
+import {
+  getStormPalette,
+  keepStormLayers,
+  palettes,
+  themes,
+} from "../src/js/themes.js";
+
+describe("keepStormLayers", () => {
+  const previous = {
+    projection: { type: "globe" },
+    sources: {
+      openmaptiles: { type: "vector", url: "https://example.com/dark" },
+      storms: { type: "vector", url: "pmtiles://storms.pmtiles" },
+    },
+    layers: [
+      { id: "water", source: "openmaptiles" },
+      { id: "storms-line", source: "storms" },
+      { id: "place-label", type: "symbol", source: "openmaptiles" },
+    ],
+  };
+  const next = {
+    sources: {
+      openmaptiles: { type: "vector", url: "https://example.com/light" },
+    },
+    layers: [
+      { id: "background", type: "background" },
+      { id: "road-label", type: "symbol", source: "openmaptiles" },
+    ],
+  };
+
+  it("moves the storm layers under the new labels", () => {
+    const style = keepStormLayers(previous, next);
+
+    assert.deepEqual(
+      style.layers.map((layer) => layer.id),
+      ["background", "storms-line", "road-label"],
+    );
+    assert.equal(style.sources.storms, previous.sources.storms);
+    assert.equal(style.sources.openmaptiles, next.sources.openmaptiles);
+    assert.deepEqual(style.projection, { type: "globe" });
+  });
+
+  it("keeps the other datasets too", () => {
+    const cones = { type: "vector", url: "pmtiles://cones.pmtiles" };
+    const style = keepStormLayers(
+      {
+        ...previous,
+        sources: { ...previous.sources, cones },
+        layers: [
+          ...previous.layers,
+          { id: "cones-fill", source: "cones", metadata: { dataset: "cones" } },
+        ],
+      },
+      next,
+    );
+
+    assert.deepEqual(
+      style.layers.map((layer) => layer.id),
+      ["background", "storms-line", "cones-fill", "road-label"],
+    );
+    assert.equal(style.sources.cones, cones);
+  });
+});
+
+describe("themes", () => {
+  it("has a color for every Saffir-Simpson category", () => {
+    for (const theme of Object.values(themes)) {
+      assert.equal(theme.colors.length, 7);
+    }
+  });
+});
+
+describe("getStormPalette", () => {
+  it("uses the theme's own colors by default", () => {
+    assert.deepEqual(getStormPalette("light"), {
+      colors: themes.light.colors,
+      stepped: false,
+      lineOpacity: themes.light.lineOpacity,
+    });
+  });
+
+  it("swaps in a picked palette but keeps the theme's opacity", () => {
+    const palette = getStormPalette("print", { palette: "cividis" });
+
+    assert.equal(palette.colors, palettes.cividis.colors);
+    assert.equal(palette.lineOpacity, themes.print.lineOpacity);
+  });
+});
+
+describe("buildCategoryColor", () => {
+  const colors = ["a", "b", "c", "d", "e", "f", "g"];
+
+  it("blends between categories", () => {
+    const expression = buildCategoryColor(colors);
+
+    assert.equal(expression[0], "interpolate");
+    assert.deepEqual(expression.slice(3, 7), [-1, "a", 0, "b"]);
+  });
+
+  it("gives each category one color when stepped", () => {
+    const expression = buildCategoryColor(colors, { stepped: true });
+
+    assert.deepEqual(expression, [
+      "step",
+      ["get", "USA_SSHS"],
+      "a",
+      0,
+      "b",
+      1,
+      "c",
+      2,
+      "d",
+      3,
+      "e",
+      4,
+      "f",
+      5,
+      "g",
+    ]);
+  });
+});